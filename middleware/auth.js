@@ -1,26 +1,79 @@
 // middleware/auth.js
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import Role from '../models/roleModel.js';
 
-// Rate limiting store (in production, use Redis)
-const rateLimitStore = new Map();
+// Rate limiting stores, one per limiter so separate limits don't count
+// each other's hits (in production, use Redis)
+const rateLimitStores = new Set();
 
-const generateAccessToken = (userId, role) => {
+// Refresh tokens (and the sessions they belong to) live for 7 days
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// tv (token version) and sid (session) let protect reject a token as soon
+// as the user is changed or the session is revoked, not only when it expires
+const generateAccessToken = (user, sessionId) => {
   return jwt.sign(
-    { id: userId, role },
+    { id: user._id, role: user.role, sid: sessionId, tv: user.tokenVersion || 0 },
     process.env.JWT_SECRET,
     { expiresIn: '1d', algorithm: 'HS256' }
   );
 };
 
-const generateRefreshToken = (userId) => {
+// jti makes every rotated token unique, even within the same second
+const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '7d', algorithm: 'HS256' }
+    { expiresIn: REFRESH_TOKEN_TTL_MS / 1000, algorithm: 'HS256' }
+  );
+};
+
+// Token that only lets staff set up 2FA (see /api/auth/2fa/setup). tv ties
+// it to the user's token version, so bumping that voids older ones.
+const generateEnrollmentToken = (user, expiresIn) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa-enroll', tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn, algorithm: 'HS256' }
   );
 };
 
+// Verify an access token against the current database state.
+// Returns the user, or null when the token has been invalidated.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+  if (decoded.purpose) return null;
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user || !user.isActive) return null;
+
+  // Bumped on logout-all, password change, role change and deactivation
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+
+  if (decoded.sid) {
+    const sessionActive = await Session.exists({
+      _id: decoded.sid,
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!sessionActive) return null;
+  }
+
+  return {
+    id: user._id.toString(),
+    // Always the current role, never the one baked into the token
+    role: user.role,
+    emailVerified: user.emailVerified,
+    sessionId: decoded.sid
+  };
+};
+
 const protect = async (req, res, next) => {
   let token;
 
@@ -36,18 +89,17 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user || !user.isActive) {
+    const user = await resolveAccessToken(token);
+
+    if (!user) {
       return res.status(401).json({ 
         success: false, 
-        message: 'User not found or inactive' 
+        message: 'Session expired or revoked, please log in again',
+        code: 'TOKEN_REVOKED'
       });
     }
 
-    req.user = { id: decoded.id, role: decoded.role };
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -65,18 +117,85 @@ const protect = async (req, res, next) => {
   }
 };
 
-const adminOnly = (req, res, next) => {
-  if (req.user?.role === 'admin') {
+// Attach req.user when a valid token is sent, but never reject the request.
+// For public routes that behave differently for signed-in users.
+const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const user = await resolveAccessToken(req.headers.authorization.split(' ')[1]);
+    if (user) req.user = user;
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
+
+// Any non-customer account (owner, editors, legacy admin, ...)
+const isStaff = (user) => !!user?.role && user.role !== 'user';
+
+const hasPermission = async (user, permission) => {
+  if (!isStaff(user)) return false;
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.has('*') || permissions.has(permission);
+};
+
+// Which of `permissions` the user doesn't hold, so staff can be kept from
+// handing out more access than they have
+const missingPermissions = async (user, permissions) => {
+  const held = isStaff(user) ? await Role.getPermissions(user.role) : new Set();
+  if (held.has('*')) return [];
+  return [...permissions].filter((permission) => !held.has(permission));
+};
+
+const staffOnly = (req, res, next) => {
+  if (isStaff(req.user)) {
     return next();
   }
   return res.status(403).json({ 
     success: false, 
-    message: 'Access denied: admin privileges required' 
+    message: 'Access denied: staff account required' 
+  });
+};
+
+// Usage: router.post('/product', protect, requirePermission('product:write'), ...)
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (await hasPermission(req.user, permission)) {
+      return next();
+    }
+    return res.status(403).json({
+      success: false,
+      message: `Access denied: ${permission} permission required`
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking permissions'
+    });
+  }
+};
+
+// Customer actions (reviews, wishlist) need a verified email address.
+// Must run after protect.
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.emailVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address first',
+    code: 'EMAIL_NOT_VERIFIED'
   });
 };
 
 // Rate limiter middleware
 const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
+  const rateLimitStore = new Map();
+  rateLimitStores.add(rateLimitStore);
+
   return (req, res, next) => {
     const identifier = req.user?.id || req.ip;
     const now = Date.now();
@@ -105,20 +224,30 @@ const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   };
 };
 
-// Clean up rate limit store periodically
+// Clean up rate limit stores periodically
 setInterval(() => {
   const now = Date.now();
-  for (const [key, value] of rateLimitStore.entries()) {
-    if (now > value.resetTime) {
-      rateLimitStore.delete(key);
+  for (const rateLimitStore of rateLimitStores) {
+    for (const [key, value] of rateLimitStore.entries()) {
+      if (now > value.resetTime) {
+        rateLimitStore.delete(key);
+      }
     }
   }
 }, 60000); // Clean every minute
 
 export { 
   protect, 
-  adminOnly, 
+  optionalAuth,
+  staffOnly,
+  requirePermission,
+  hasPermission,
+  missingPermissions,
+  isStaff,
+  requireVerifiedEmail,
   rateLimit,
   generateAccessToken,
-  generateRefreshToken
+  generateRefreshToken,
+  generateEnrollmentToken,
+  REFRESH_TOKEN_TTL_MS
 };
\ No newline at end of file
@@ -0,0 +1,210 @@
+// models/agentModel.js
+import mongoose from 'mongoose';
+import { Category } from './model.js';
+
+// How an inquiry found its agent: 'rule' when category or language
+// narrowed the choice, 'round-robin' when anyone on shift could take it,
+// 'fallback' when nobody was on shift
+const ROUTING_MODES = ['rule', 'round-robin', 'fallback'];
+
+const DEFAULT_TIMEZONE = process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Weekday (0 = Sunday) and "HH:mm" wall-clock time in a timezone
+const localClock = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), time: `${parts.hour}:${parts.minute}` };
+};
+
+// One shift, e.g. { days: [1, 2, 3, 4, 5], start: '10:00', end: '19:00' }.
+// A shift that ends before it starts runs overnight, e.g. '22:00'-'06:00';
+// its days are the days it starts on.
+const shiftSchema = new mongoose.Schema({
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: {
+      validator: (days) => days.length > 0,
+      message: 'A shift needs at least one day (0 = Sunday)'
+    }
+  },
+  start: {
+    type: String,
+    required: [true, 'Shift start is required'],
+    match: [CLOCK_TIME, 'Shift times must be HH:mm']
+  },
+  end: {
+    type: String,
+    required: [true, 'Shift end is required'],
+    match: [CLOCK_TIME, 'Shift times must be HH:mm']
+  }
+}, { _id: false });
+
+shiftSchema.pre('validate', function(next) {
+  if (this.start && this.end && this.start === this.end) {
+    this.invalidate('end', 'Shift must not end when it starts');
+  }
+  next();
+});
+
+const agentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Agent name is required'],
+    trim: true,
+    maxlength: [60, 'Agent name cannot exceed 60 characters']
+  },
+  whatsappNumber: {
+    type: String,
+    required: [true, 'WhatsApp number is required'],
+    unique: true,
+    trim: true,
+    validate: {
+      validator: (v) => /^\+?[1-9]\d{1,14}$/.test(v),
+      message: 'Please enter a valid WhatsApp number (with country code)'
+    }
+  },
+  // Language codes the agent chats in, e.g. ['en', 'hi']
+  languages: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z]{2,3}$/, 'Languages must be codes like "en" or "hi"']
+    }],
+    default: ['en']
+  },
+  // Categories (and their subcategories) the agent handles. Agents without
+  // categories take inquiries for anything.
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // No shifts means always available
+  workingHours: [shiftSchema],
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Round-robin cursor: the agent assigned longest ago goes next
+  lastAssignedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+agentSchema.index({ isActive: 1, lastAssignedAt: 1 });
+
+agentSchema.methods.isAvailableAt = function(date = new Date()) {
+  if (!this.isActive) return false;
+  if (this.workingHours.length === 0) return true;
+
+  const { day, time } = localClock(date, this.timezone);
+  const previousDay = (day + 6) % 7;
+  return this.workingHours.some((shift) => {
+    if (shift.start < shift.end) {
+      return shift.days.includes(day) && shift.start <= time && time < shift.end;
+    }
+    // Overnight: the evening part on a shift day, or the early hours after one
+    return (shift.days.includes(day) && shift.start <= time) ||
+      (shift.days.includes(previousDay) && time < shift.end);
+  });
+};
+
+// Pick the agent for an inquiry about a product. Specialists for the
+// product's category (or a parent category) come first, then agents
+// without categories, then anyone on shift; a customer language narrows
+// that further when someone speaks it. Ties go round-robin. Returns
+// { agent, whatsappNumber, routing }, with agent null when nobody is on
+// shift and the inquiry falls back to WHATSAPP_FALLBACK_NUMBER or the
+// product's own number.
+agentSchema.statics.route = async function({ product, language, now = new Date() }) {
+  const agents = await this.find({ isActive: true }).select('categories languages workingHours timezone isActive');
+  const available = agents.filter((agent) => agent.isAvailableAt(now));
+
+  let pool = available;
+  let byRule = false;
+
+  if (available.length > 0 && product.category) {
+    const category = await Category.findById(product.category._id || product.category)
+      .select('ancestors')
+      .setOptions({ withDeleted: true });
+    const categoryIds = new Set(
+      [product.category._id || product.category, ...(category?.ancestors || [])].map(String)
+    );
+
+    const specialists = available.filter((a) => a.categories.some((c) => categoryIds.has(c.toString())));
+    const generalists = available.filter((a) => a.categories.length === 0);
+    if (specialists.length > 0) {
+      pool = specialists;
+      byRule = true;
+    } else if (generalists.length > 0) {
+      pool = generalists;
+    }
+  }
+
+  if (language && pool.length > 1) {
+    const speakers = pool.filter((a) => a.languages.includes(language));
+    if (speakers.length > 0 && speakers.length < pool.length) {
+      pool = speakers;
+      byRule = true;
+    }
+  }
+
+  // Claim the next agent in one update, so concurrent inquiries don't
+  // land on the same person
+  const agent = pool.length > 0
+    ? await this.findOneAndUpdate(
+      { _id: { $in: pool.map((a) => a._id) }, isActive: true },
+      { $set: { lastAssignedAt: now } },
+      { sort: { lastAssignedAt: 1, _id: 1 }, new: true }
+    )
+    : null;
+
+  if (!agent) {
+    return {
+      agent: null,
+      whatsappNumber: process.env.WHATSAPP_FALLBACK_NUMBER || product.whatsappNumber,
+      routing: 'fallback'
+    };
+  }
+
+  return {
+    agent,
+    whatsappNumber: agent.whatsappNumber,
+    routing: byRule ? 'rule' : 'round-robin'
+  };
+};
+
+const Agent = mongoose.model('Agent', agentSchema);
+
+export { ROUTING_MODES, DEFAULT_TIMEZONE };
+export default Agent;
@@ -0,0 +1,91 @@
+// models/auditLogModel.js
+import mongoose from 'mongoose';
+import { toSnapshot, diffSnapshots } from '../utils/diff.js';
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'upload', 'trash', 'restore', 'purge'];
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of a staff write
+const auditLogSchema = new mongoose.Schema({
+  // Empty for scheduled jobs such as the trash sweeper
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Model name ('Product', 'Category', 'Role', ...) or 'Image' for uploads
+  entity: {
+    type: String,
+    required: true
+  },
+  // Document id, or the Cloudinary public_id for uploads
+  entityId: {
+    type: String,
+    required: true
+  },
+  // Name at the time of the change, so deleted entities stay readable
+  label: String,
+  changes: [changeSchema],
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+// The log is append-only: refuse any update or delete through the model
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  auditLogSchema.pre(op, rejectMutation);
+}
+
+// `before` / `after` are documents or plain objects (either may be null).
+// Pass req = null for background jobs. Never let audit logging fail the
+// request it describes.
+auditLogSchema.statics.record = function(req, { action, entity, entityId, label, before, after }) {
+  const changes = diffSnapshots(toSnapshot(before), toSnapshot(after));
+
+  // Nothing actually changed; skip no-op saves
+  if (action === 'update' && changes.length === 0) return Promise.resolve();
+
+  return this.create({
+    actor: req?.user?.id,
+    actorRole: req ? req.user?.role : 'system',
+    action,
+    entity,
+    entityId: String(entityId),
+    label,
+    changes,
+    ip: req?.ip,
+    userAgent: req?.headers['user-agent']
+  }).catch((error) => {
+    console.error('Audit log error:', error.message);
+  });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export { AUDIT_ACTIONS };
+export default AuditLog;
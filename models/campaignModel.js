@@ -0,0 +1,137 @@
+// models/campaignModel.js
+import mongoose from 'mongoose';
+import { Category, Product } from './model.js';
+import Collection from './collectionModel.js';
+import { setActiveCampaigns } from '../utils/salePricing.js';
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Time-boxed sale on categories, tags or collections. Sale prices are
+// computed from the regular price at read time; the only thing stored on
+// products is basePrice.effective, which price filters and sorting use.
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive']
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  includeSubcategories: {
+    type: Boolean,
+    default: true
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ isActive: 1, endsAt: 1 });
+
+campaignSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (!this.categories.length && !this.tags.length && !this.collections.length) {
+    this.invalidate('categories', 'A campaign must target at least one category, tag or collection');
+  }
+  next();
+});
+
+// Query for campaigns running right now
+campaignSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now }
+  };
+};
+
+// Load every campaign that hasn't ended into the pricing cache, resolving
+// subcategories and collection members to plain id sets
+campaignSchema.statics.refreshActive = async function(now = new Date()) {
+  const campaigns = await this.find({ isActive: true, endsAt: { $gt: now } }).lean();
+
+  const resolved = await Promise.all(campaigns.map(async (campaign) => {
+    const categoryIds = [...campaign.categories];
+    if (campaign.includeSubcategories && categoryIds.length > 0) {
+      categoryIds.push(...await Category.distinct('_id', { ancestors: { $in: campaign.categories } }));
+    }
+
+    const productIds = [];
+    const collections = await Collection.find({ _id: { $in: campaign.collections } });
+    for (const collection of collections) {
+      if (collection.type === 'manual') {
+        productIds.push(...collection.products);
+      } else {
+        productIds.push(...await Product.distinct('_id', await collection.ruleFilter()));
+      }
+    }
+
+    return {
+      id: campaign._id,
+      name: campaign.name,
+      discountType: campaign.discountType,
+      value: campaign.value,
+      startsAt: campaign.startsAt,
+      endsAt: campaign.endsAt,
+      categoryIds: new Set(categoryIds.map(String)),
+      tags: new Set(campaign.tags),
+      productIds: new Set(productIds.map(String))
+    };
+  }));
+
+  setActiveCampaigns(resolved);
+  await Product.syncEffectivePrices();
+  return resolved.length;
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+export { DISCOUNT_TYPES };
+export default Campaign;
@@ -0,0 +1,203 @@
+// models/collectionModel.js
+import mongoose from 'mongoose';
+import { Category } from './model.js';
+
+const COLLECTION_TYPES = ['manual', 'rule'];
+
+// Orderings available to rule-based collections; manual collections keep
+// the order they were arranged in
+const COLLECTION_SORTS = {
+  '-createdAt': { createdAt: -1 },
+  'createdAt': { createdAt: 1 },
+  'price': { 'basePrice.effective': 1 },
+  '-price': { 'basePrice.effective': -1 },
+  'name': { name: 1 },
+  'featured': { isFeatured: -1, createdAt: -1 }
+};
+
+// Most products a manual collection may hold
+const MAX_COLLECTION_PRODUCTS = 200;
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  bannerImage: {
+    url: {
+      type: String,
+      required: [true, 'Banner image URL is required']
+    },
+    public_id: {
+      type: String,
+      required: [true, 'Banner image public_id is required']
+    }
+  },
+  type: {
+    type: String,
+    enum: COLLECTION_TYPES,
+    default: 'manual'
+  },
+  // Manual collections: hand-picked products in display order
+  products: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    validate: {
+      validator: (products) => products.length <= MAX_COLLECTION_PRODUCTS,
+      message: `A collection can hold at most ${MAX_COLLECTION_PRODUCTS} products`
+    }
+  },
+  // Rule-based collections: products matching every rule that is set
+  rules: {
+    tags: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // Whether a product needs any or all of the tags
+    tagMatch: {
+      type: String,
+      enum: ['any', 'all'],
+      default: 'any'
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null
+    },
+    includeSubcategories: {
+      type: Boolean,
+      default: true
+    },
+    // Compared with the price customers pay (discounted or on sale), in
+    // the base currency
+    minPrice: {
+      type: Number,
+      min: [0, 'Minimum price cannot be negative'],
+      default: null
+    },
+    maxPrice: {
+      type: Number,
+      min: [0, 'Maximum price cannot be negative'],
+      default: null
+    }
+  },
+  sort: {
+    type: String,
+    enum: Object.keys(COLLECTION_SORTS),
+    default: '-createdAt'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Optional window in which the collection is shown publicly
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ isActive: 1, sortOrder: 1 });
+collectionSchema.index({ products: 1 });
+
+collectionSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+
+  if (this.type === 'rule') {
+    const { tags, category, minPrice, maxPrice } = this.rules;
+    if (!tags?.length && !category && minPrice == null && maxPrice == null) {
+      this.invalidate('rules', 'A rule-based collection needs at least one rule (tags, category or price range)');
+    }
+    if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+      this.invalidate('rules.maxPrice', 'Maximum price must not be below the minimum price');
+    }
+  }
+  next();
+});
+
+// Query for collections customers can see right now
+collectionSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    startsAt: { $not: { $gt: now } },
+    endsAt: { $not: { $lte: now } }
+  };
+};
+
+collectionSchema.methods.isLiveAt = function(now = new Date()) {
+  return this.isActive &&
+    !(this.startsAt && this.startsAt > now) &&
+    !(this.endsAt && this.endsAt <= now);
+};
+
+// Product query for a rule-based collection, to be combined with
+// Product.publicFilter() by the caller
+collectionSchema.methods.ruleFilter = async function() {
+  const { tags, tagMatch, category, includeSubcategories, minPrice, maxPrice } = this.rules;
+  const filter = {};
+
+  if (tags?.length) filter.tags = tagMatch === 'all' ? { $all: tags } : { $in: tags };
+
+  if (category) {
+    const categoryIds = [category];
+    if (includeSubcategories) {
+      categoryIds.push(...await Category.activeDescendantIds(category));
+    }
+    filter.category = { $in: categoryIds };
+  }
+
+  if (minPrice != null || maxPrice != null) {
+    filter['basePrice.effective'] = {};
+    if (minPrice != null) filter['basePrice.effective'].$gte = minPrice;
+    if (maxPrice != null) filter['basePrice.effective'].$lte = maxPrice;
+  }
+
+  return filter;
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export { COLLECTION_TYPES, COLLECTION_SORTS, MAX_COLLECTION_PRODUCTS };
+export default Collection;
@@ -0,0 +1,36 @@
+// models/counterModel.js
+import mongoose from 'mongoose';
+
+// Named monotonic sequences (e.g. 'sku:AMG'). Numbers handed out by next()
+// are never handed out again, even if the document using them is deleted.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically take the next number in a sequence, creating it at 1
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Move a sequence forward to at least `value` (never backwards)
+counterSchema.statics.ensureAtLeast = function(key, value) {
+  return this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,156 @@
+// models/couponModel.js
+import mongoose from 'mongoose';
+import Order from './orderModel.js';
+import CouponRedemption from './couponRedemptionModel.js';
+import { DISCOUNT_TYPES } from './campaignModel.js';
+import { discountAmount } from '../utils/salePricing.js';
+import { formatPrice } from '../utils/currency.js';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive']
+  },
+  // Upper bound on what a percentage coupon takes off
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minOrderValue: {
+    type: Number,
+    min: [0, 'Minimum order value cannot be negative'],
+    default: 0
+  },
+  // Total redemptions allowed; null means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Redemptions allowed per customer (account, or phone for guests)
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+  next();
+});
+
+couponSchema.methods.computeDiscount = function(subtotal) {
+  return discountAmount(subtotal, this);
+};
+
+// Reason the coupon can't be used on this order, or null if it can.
+// Cancelled orders don't count towards the per-user limit.
+couponSchema.methods.checkEligibility = async function({ subtotal, userId, phone, now = new Date() }) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.startsAt && this.startsAt > now) return 'This coupon is not valid yet';
+  if (this.expiresAt && this.expiresAt <= now) return 'This coupon has expired';
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (subtotal < this.minOrderValue) {
+    return `This coupon needs a minimum order of ${formatPrice(this.minOrderValue)}`;
+  }
+
+  if (this.perUserLimit !== null && (userId || phone)) {
+    const customer = [];
+    if (userId) customer.push({ user: userId });
+    if (phone) customer.push({ 'customer.phone': phone });
+
+    const used = await Order.countDocuments({
+      coupon: this._id,
+      status: { $ne: 'cancelled' },
+      $or: customer
+    });
+    if (used >= this.perUserLimit) return 'You have already used this coupon';
+  }
+
+  return null;
+};
+
+// Claim one use for an order atomically, so concurrent orders can't
+// overrun usageLimit or perUserLimit. Returns the reason when a limit was
+// reached in the meantime, or null once the use is claimed.
+couponSchema.methods.redeem = async function(orderId, { userId, phone } = {}) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return 'This coupon has reached its usage limit';
+
+  if (this.perUserLimit !== null && !(await CouponRedemption.claim(this, orderId, { userId, phone }))) {
+    await this.constructor.release(this._id);
+    return 'You have already used this coupon';
+  }
+  return null;
+};
+
+// Give a use back, e.g. when the order is cancelled
+couponSchema.statics.release = async function(couponId, orderId) {
+  if (orderId) await CouponRedemption.release(orderId);
+  return this.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
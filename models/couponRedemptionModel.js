@@ -0,0 +1,85 @@
+// models/couponRedemptionModel.js
+import mongoose from 'mongoose';
+import Order from './orderModel.js';
+
+// Orders one customer has placed with a coupon, kept so the per-user limit
+// can be claimed in a single update. A customer is an account
+// ('user:<id>') or a phone number ('phone:<number>'); an order placed
+// with both counts against each.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: String,
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+couponRedemptionSchema.index({ orders: 1 });
+
+// Each identity with the order filter that finds its past redemptions
+const identities = ({ userId, phone }) => [
+  ...(userId ? [{ customer: `user:${userId}`, orderFilter: { user: userId } }] : []),
+  ...(phone ? [{ customer: `phone:${phone}`, orderFilter: { 'customer.phone': phone } }] : [])
+];
+
+// Start the record from the customer's existing orders the first time
+// they use this coupon, so redemptions from before it existed still count
+const seed = async (CouponRedemption, couponId, { customer, orderFilter }) => {
+  if (await CouponRedemption.exists({ coupon: couponId, customer })) return;
+
+  const orders = await Order.distinct('_id', {
+    ...orderFilter,
+    coupon: couponId,
+    status: { $ne: 'cancelled' }
+  });
+
+  try {
+    await CouponRedemption.create({ coupon: couponId, customer, orders });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Claim a use of the coupon for this order under each of the customer's
+// identities. Returns false (and claims nothing) when any of them has
+// already reached coupon.perUserLimit.
+couponRedemptionSchema.statics.claim = async function(coupon, orderId, { userId, phone }) {
+  for (const identity of identities({ userId, phone })) {
+    await seed(this, coupon._id, identity);
+
+    const claimed = await this.findOneAndUpdate(
+      {
+        coupon: coupon._id,
+        customer: identity.customer,
+        [`orders.${coupon.perUserLimit - 1}`]: { $exists: false }
+      },
+      { $addToSet: { orders: orderId } }
+    );
+    if (!claimed) {
+      await this.release(orderId);
+      return false;
+    }
+  }
+  return true;
+};
+
+// Give the order's uses back, e.g. when it's cancelled
+couponRedemptionSchema.statics.release = function(orderId) {
+  return this.updateMany({ orders: orderId }, { $pull: { orders: orderId } });
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
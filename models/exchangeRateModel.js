@@ -0,0 +1,112 @@
+// models/exchangeRateModel.js
+import mongoose from 'mongoose';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  setExchangeRates,
+  getExchangeRate,
+  normalizeCurrency,
+  isSupportedCurrency,
+  convertProductPrices
+} from '../utils/currency.js';
+
+// Each rate change is a new document, so the collection doubles as the
+// rate history; the newest entry per currency is the current rate
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES.filter((c) => c !== BASE_CURRENCY),
+      message: 'Unsupported currency'
+    }
+  },
+  // Units of the base currency per one unit, e.g. 83.2 for USD when the
+  // base is INR
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+// Rates are read on every converted request, so they're cached briefly
+const CACHE_TTL = 60 * 1000;
+let cacheExpiresAt = 0;
+
+exchangeRateSchema.statics.clearRateCache = function() {
+  cacheExpiresAt = 0;
+};
+
+// Current rate per currency: [{ currency, rate, updatedAt }]
+exchangeRateSchema.statics.currentRates = function() {
+  return this.aggregate([
+    { $sort: { currency: 1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$currency',
+        rate: { $first: '$rate' },
+        updatedAt: { $first: '$createdAt' }
+      }
+    },
+    { $project: { _id: 0, currency: '$_id', rate: 1, updatedAt: 1 } },
+    { $sort: { currency: 1 } }
+  ]);
+};
+
+// Refresh the in-memory rate table used by price conversion
+exchangeRateSchema.statics.loadRates = async function({ force = false } = {}) {
+  if (!force && cacheExpiresAt > Date.now()) return;
+  const rates = await this.currentRates();
+  setExchangeRates(rates.map(({ currency, rate }) => [currency, rate]));
+  cacheExpiresAt = Date.now() + CACHE_TTL;
+};
+
+// Function that converts serialized products into the requested currency,
+// or passes them through when none was asked for. Throws a 400 error for
+// unsupported currencies or ones without a rate yet.
+exchangeRateSchema.statics.localizer = async function(requested) {
+  if (!requested) return (product) => product;
+
+  const currency = normalizeCurrency(requested);
+  if (!isSupportedCurrency(currency)) {
+    const error = new Error(`Unsupported currency. Allowed: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await this.loadRates();
+  if (!getExchangeRate(currency)) {
+    const error = new Error(`No exchange rate set for ${currency}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return (product) => convertProductPrices(
+    typeof product.toJSON === 'function' ? product.toJSON() : product,
+    currency
+  );
+};
+
+exchangeRateSchema.post('save', function() {
+  cacheExpiresAt = 0;
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
@@ -0,0 +1,50 @@
+// models/inquiryModel.js
+import mongoose from 'mongoose';
+import { ROUTING_MODES } from './agentModel.js';
+
+// Inquiry Log Schema
+const inquirySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  // Sales agent the customer was sent to; empty when it fell back to the
+  // default number outside working hours
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agent',
+    default: null
+  },
+  whatsappNumber: String,
+  routing: {
+    type: String,
+    enum: ROUTING_MODES
+  },
+  // Set once the inquiry has been turned into an order
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, { timestamps: true });
+
+inquirySchema.index({ product: 1, ipAddress: 1, timestamp: -1 });
+inquirySchema.index({ timestamp: -1 });
+inquirySchema.index({ agent: 1, timestamp: -1 });
+
+const Inquiry = mongoose.model('Inquiry', inquirySchema);
+export default Inquiry;
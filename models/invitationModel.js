@@ -0,0 +1,57 @@
+// models/invitationModel.js
+import mongoose from 'mongoose';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/.+@.+\..+/, 'Please use a valid email address']
+  },
+  // Name of the staff Role the new account gets
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the token in the invite link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+export default Invitation;
@@ -0,0 +1,57 @@
+// models/loginEventModel.js
+import mongoose from 'mongoose';
+
+const LOGIN_EVENT_RESULTS = [
+  'success',
+  'invalid-password',
+  'invalid-admin-token',
+  'invalid-2fa-code',
+  '2fa-required',
+  '2fa-setup-required',
+  '2fa-not-enrolled',
+  'locked',
+  'inactive'
+];
+
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  result: {
+    type: String,
+    enum: LOGIN_EVENT_RESULTS,
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+// Keep six months of history
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Never let history logging break a login
+loginEventSchema.statics.record = function(user, result, req, session) {
+  return this.create({
+    user: user._id,
+    result,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    session
+  }).catch((error) => {
+    console.error('Login history error:', error.message);
+  });
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export { LOGIN_EVENT_RESULTS };
+export default LoginEvent;
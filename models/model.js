@@ -1,5 +1,106 @@
 // models/model.js
 import mongoose from 'mongoose';
+import ProductRevision from './productRevisionModel.js';
+import Counter from './counterModel.js';
+import ExchangeRate from './exchangeRateModel.js';
+import {
+  DEFAULT_SKU_PREFIX,
+  DEFAULT_SKU_FORMAT,
+  CATEGORY_SKU_FORMAT,
+  isValidSkuFormat,
+  formatSku,
+  skuPattern,
+  skuCounterKey
+} from '../utils/sku.js';
+import { findSale, effectivePriceOf, effectiveBasePriceExpression } from '../utils/salePricing.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  getExchangeRate,
+  exchangeRateExpression
+} from '../utils/currency.js';
+import {
+  validateTemplate,
+  hasOwnTemplate,
+  pickTemplate,
+  productWhatsAppUrl
+} from '../utils/whatsappTemplate.js';
+
+// =====================
+// SOFT DELETE
+// =====================
+
+// Deleted products and categories stay in the trash this long before the
+// sweeper purges them (and their Cloudinary images) for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TRASH_FILTERED_QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+
+// Hides trashed documents from every query and aggregate unless the filter
+// mentions deletedAt itself or the query sets { withDeleted: true }, so
+// trashed documents can't be read or written by accident. They keep their
+// unique name, slug and SKU until purged (see describeDuplicate).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(TRASH_FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  // $text and $geoNear must stay first, so merge into a leading $match
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first?.$match) {
+      if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+    } else if (!first?.$geoNear) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.virtual('purgeAt').get(function() {
+    if (!this.deletedAt) return null;
+    return new Date(this.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  });
+
+  // Message for a duplicate-key error that points at the trash when that's
+  // where the clashing document is
+  schema.statics.describeDuplicate = async function(error, fallback) {
+    if (!error.keyValue) return fallback;
+    const field = Object.keys(error.keyValue)[0];
+    const trashed = await this.exists({ ...error.keyValue, deletedAt: { $ne: null } });
+    return trashed
+      ? `A ${this.modelName.toLowerCase()} in the trash already uses this ${field}; restore or purge it first`
+      : fallback;
+  };
+
+  schema.methods.moveToTrash = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restoreFromTrash = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
 
 // =====================
 // CATEGORY SCHEMA
@@ -39,6 +140,43 @@ const categorySchema = new mongoose.Schema({
   sortOrder: {
     type: Number,
     default: 0
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path from the root down to the parent, maintained by the
+  // save hooks below; lets a whole subtree be found with one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // SKUs for new products in this category, e.g. prefix AMG with format
+  // {prefix}-{seq:4} gives AMG-0042 (see utils/sku.js)
+  skuPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,8}$/, 'SKU prefix may only contain up to 8 letters and digits']
+  },
+  skuFormat: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidSkuFormat(value),
+      message: 'SKU format must contain {seq} and only letters, digits, dashes, underscores, {prefix}, {seq:N} or {year}'
+    }
+  },
+  // Default WhatsApp message for products here and in subcategories that
+  // don't have their own (see utils/whatsappTemplate.js)
+  whatsappTemplate: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || !validateTemplate(value),
+      message: (props) => validateTemplate(props.value)
+    }
   }
 }, {
   timestamps: true
@@ -55,13 +193,141 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Root categories are level 1 (Home Decor → Coasters is 2 levels deep)
+const MAX_CATEGORY_DEPTH = 4;
+
+const categoryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Rebuild the ancestor path when the parent changes, refusing cycles and
+// trees deeper than MAX_CATEGORY_DEPTH
+categorySchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+
+  let ancestors = [];
+  if (this.parent) {
+    if (this.parent.equals(this._id)) {
+      return next(categoryError('A category cannot be its own parent'));
+    }
+    const parent = await this.constructor.findById(this.parent).select('ancestors');
+    if (!parent) return next(categoryError('Parent category not found'));
+    if (parent.ancestors.some((id) => id.equals(this._id))) {
+      return next(categoryError('A category cannot be moved under one of its subcategories'));
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  // Levels below this category move along with it
+  let subtreeDepth = 0;
+  if (!this.isNew) {
+    const descendants = await this.constructor.find({ ancestors: this._id })
+      .select('ancestors')
+      .setOptions({ withDeleted: true });
+    subtreeDepth = Math.max(0, ...descendants.map((d) => d.ancestors.length - this.ancestors.length));
+  }
+  if (ancestors.length + 1 + subtreeDepth > MAX_CATEGORY_DEPTH) {
+    return next(categoryError(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`));
+  }
+
+  this.ancestors = ancestors;
+  this.$locals.ancestorsChanged = !this.isNew;
+  next();
+});
+
+// After a move, rewrite the path of every descendant (trashed ones too)
+categorySchema.post('save', async function() {
+  if (!this.$locals.ancestorsChanged) return;
+  this.$locals.ancestorsChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id })
+    .select('ancestors')
+    .setOptions({ withDeleted: true });
+  if (descendants.length === 0) return;
+
+  await this.constructor.bulkWrite(descendants.map((d) => {
+    const index = d.ancestors.findIndex((id) => id.equals(this._id));
+    return {
+      updateOne: {
+        filter: { _id: d._id },
+        update: { $set: { ancestors: [...this.ancestors, this._id, ...d.ancestors.slice(index + 1)] } }
+      }
+    };
+  }));
+});
+
+// Ids of every category below this one
+categorySchema.statics.descendantIds = function(categoryId, filter = {}) {
+  return this.distinct('_id', { ...filter, ancestors: categoryId });
+};
+
+// Ids of active categories below this one, leaving out anything under an
+// inactive subcategory
+categorySchema.statics.activeDescendantIds = async function(categoryId) {
+  const inactive = await this.descendantIds(categoryId, { isActive: false });
+  return this.descendantIds(categoryId, {
+    isActive: true,
+    ...(inactive.length > 0 && { $nor: [{ ancestors: { $in: inactive } }] })
+  });
+};
+
+// Nearest WhatsApp template for each category, from the category itself or
+// its ancestors: Map of category id -> template, or null when there is none
+categorySchema.statics.templatesFor = async function(categoryIds) {
+  const categories = await this.find({ _id: { $in: categoryIds } })
+    .select('whatsappTemplate ancestors')
+    .setOptions({ withDeleted: true });
+
+  const ancestorIds = categories.filter((c) => !c.whatsappTemplate).flatMap((c) => c.ancestors);
+  const ancestors = ancestorIds.length > 0
+    ? await this.find({ _id: { $in: ancestorIds }, whatsappTemplate: { $nin: [null, ''] } })
+      .select('whatsappTemplate')
+      .setOptions({ withDeleted: true })
+    : [];
+  const byId = new Map(ancestors.map((c) => [c._id.toString(), c.whatsappTemplate]));
+
+  return new Map(categories.map((category) => {
+    if (category.whatsappTemplate) return [category._id.toString(), category.whatsappTemplate];
+    const nearest = [...category.ancestors].reverse().find((id) => byId.has(id.toString()));
+    return [category._id.toString(), nearest ? byId.get(nearest.toString()) : null];
+  }));
+};
+
+// Nearest WhatsApp template on the category or its ancestors, or null
+categorySchema.statics.templateFor = async function(categoryId) {
+  if (!categoryId) return null;
+  const id = String(categoryId._id || categoryId);
+  return (await this.templatesFor([id])).get(id) ?? null;
+};
+
+// Root-to-self trail, e.g. [Home Decor, Coasters]
+categorySchema.methods.getBreadcrumbs = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } })
+    .select('name slug')
+    .setOptions({ withDeleted: true });
+  const byId = new Map(ancestors.map((c) => [c._id.toString(), c]));
+  return [...this.ancestors.map((id) => byId.get(id.toString())).filter(Boolean), this]
+    .map((c) => ({ id: c._id, name: c.name, slug: c.slug }));
+};
+
 categorySchema.index({ isActive: 1, sortOrder: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.plugin(softDelete);
 
 const Category = mongoose.model('Category', categorySchema);
 
 // =====================
 // PRODUCT SCHEMA (Generic)
 // =====================
+
+// draft and archived are never public; scheduled goes live at publishAt.
+// Products created before publishing existed have no status and count
+// as published.
+const PRODUCT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -111,6 +377,31 @@ const productSchema = new mongoose.Schema({
       }
     }
   },
+  // Currency the prices above are in
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: SUPPORTED_CURRENCIES,
+      message: 'Unsupported currency'
+    },
+    default: BASE_CURRENCY
+  },
+  // Prices above in the base currency, so products priced in different
+  // currencies filter and sort together. Kept in sync by the pre-save hook
+  // and Product.syncBasePrices(); null while the currency has no rate.
+  // effective is what customers pay, sale campaigns included; it is
+  // refreshed with the campaign cache, so it can lag a sale's start or end
+  // by up to a minute.
+  basePrice: {
+    type: new mongoose.Schema({
+      original: { type: Number, default: null },
+      discounted: { type: Number, default: null },
+      effective: { type: Number, default: null }
+    }, { _id: false }),
+    select: false
+  },
   // Generic variants (for sizes, colors, types, etc.)
   variants: [{
     type: {
@@ -126,9 +417,10 @@ const productSchema = new mongoose.Schema({
       type: String,
       required: [true, 'Variant value is required']
     },
+    // Derived from stock on every write; not meant to be set directly
     available: {
       type: Boolean,
-      default: true
+      default: false
     },
     stock: {
       type: Number,
@@ -160,6 +452,26 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  status: {
+    type: String,
+    enum: PRODUCT_STATUSES,
+    default: 'published'
+  },
+  // Not shown before publishAt or from unpublishAt on, whatever the status
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  // True when the product has no tracked variants or any variant has stock.
+  // Kept in sync by the pre-save hook and utils/inventory.js.
+  inStock: {
+    type: Boolean,
+    default: true
+  },
   sortOrder: {
     type: Number,
     default: 0
@@ -174,10 +486,15 @@ const productSchema = new mongoose.Schema({
       message: 'Please enter a valid WhatsApp number (with country code)'
     }
   },
+  // Message template for this product only; when empty the category's
+  // template (or the default) is used
   whatsappMessage: {
     type: String,
-    default: 'Hi! I am interested in this product: {productName}. Please provide more details about pricing, availability, and delivery.',
-    maxlength: [500, 'WhatsApp message template cannot exceed 500 characters']
+    trim: true,
+    validate: {
+      validator: (value) => !value || !validateTemplate(value),
+      message: (props) => validateTemplate(props.value)
+    }
   },
   views: {
     type: Number,
@@ -201,41 +518,215 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ isFeatured: 1, isActive: 1 });
-productSchema.index({ 'price.original': 1 });
+productSchema.index({ 'basePrice.effective': 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ tags: 1 });
+productSchema.index({ isActive: 1, inStock: 1 });
+productSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+productSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, tags: 5, description: 1 } }
+);
+
+productSchema.plugin(softDelete);
+
+productSchema.pre('validate', function(next) {
+  // A published product with a future publishAt is really scheduled
+  if (this.status === 'published' && this.publishAt > new Date()) {
+    this.status = 'scheduled';
+  }
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'publishAt is required for scheduled products');
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'unpublishAt must be after publishAt');
+  }
+  next();
+});
+
+productSchema.pre('save', function(next) {
+  this.variants.forEach((variant) => {
+    variant.available = variant.stock > 0;
+  });
+  this.inStock = this.variants.length === 0 || this.variants.some((v) => v.stock > 0);
+  next();
+});
+
+// Category and tags decide which sales apply, so effective is
+// recomputed on every save
+productSchema.pre('save', async function(next) {
+  await ExchangeRate.loadRates();
+  const rate = getExchangeRate(this.currency || BASE_CURRENCY);
+  const toBase = (amount) => (rate && amount != null ? amount * rate : null);
+  this.basePrice = {
+    original: toBase(this.price.original),
+    discounted: toBase(this.price.discounted),
+    effective: toBase(effectivePriceOf(this))
+  };
+  next();
+});
 
 productSchema.pre('save', async function(next) {
   if (!this.sku && this.isNew) {
-    const count = await this.constructor.countDocuments();
-    this.sku = `PROD${String(count + 1).padStart(4, '0')}`; 
+    this.sku = await this.constructor.generateSku(this.category);
   }
   next();
 });
 
+// Update pipeline stages that recompute basePrice from price, currency and
+// the running sales. Uses the in-memory rate table, so load the rates first.
+productSchema.statics.basePriceStages = function() {
+  const rate = exchangeRateExpression();
+  return [
+    {
+      $set: {
+        'basePrice.original': { $multiply: ['$price.original', rate] },
+        'basePrice.discounted': { $multiply: ['$price.discounted', rate] }
+      }
+    },
+    // A stage of its own, so it sees the base prices set above
+    { $set: { 'basePrice.effective': effectiveBasePriceExpression() } }
+  ];
+};
+
+// Recompute basePrice for the matching products (trashed ones included),
+// e.g. after a rate change
+productSchema.statics.syncBasePrices = async function(filter = {}) {
+  await ExchangeRate.loadRates({ force: true });
+  return this.updateMany(filter, this.basePriceStages(), { timestamps: false })
+    .setOptions({ withDeleted: true });
+};
+
+// Bring basePrice.effective in line with the sale campaign cache, writing
+// only the products whose price actually changed
+productSchema.statics.syncEffectivePrices = function() {
+  const effective = effectiveBasePriceExpression();
+  return this.updateMany(
+    { $expr: { $ne: [{ $ifNull: ['$basePrice.effective', null] }, effective] } },
+    [{ $set: { 'basePrice.effective': effective } }],
+    { timestamps: false }
+  ).setOptions({ withDeleted: true });
+};
+
+// Next unused SKU for a category, from an atomic per-prefix counter. The
+// first time a prefix is used its counter starts after the highest
+// existing SKU in that format; numbers taken by hand-entered SKUs are
+// skipped.
+productSchema.statics.generateSku = async function(categoryId) {
+  const category = categoryId
+    ? await Category.findById(categoryId).select('skuPrefix skuFormat').setOptions({ withDeleted: true })
+    : null;
+  const prefix = category?.skuPrefix || DEFAULT_SKU_PREFIX;
+  const format = category?.skuFormat || (category?.skuPrefix ? CATEGORY_SKU_FORMAT : DEFAULT_SKU_FORMAT);
+  const key = skuCounterKey(prefix);
+
+  if (!(await Counter.exists({ _id: key }))) {
+    const pattern = skuPattern(format, prefix);
+    const skus = await this.distinct('sku', { sku: pattern }).setOptions({ withDeleted: true });
+    const highest = Math.max(0, ...skus.map((sku) => Number(pattern.exec(sku)?.[1]) || 0));
+    await Counter.ensureAtLeast(key, highest);
+  }
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const sku = formatSku(format, { prefix, seq: await Counter.next(key) });
+    const taken = await this.exists({ sku }).setOptions({ withDeleted: true });
+    if (!taken) return sku;
+  }
+  throw new Error(`Could not find a free SKU for prefix ${prefix}`);
+};
+
+// Snapshot editable content after every save; a failed snapshot is logged
+// rather than failing the save
+productSchema.post('save', async function(doc) {
+  try {
+    await ProductRevision.recordFor(doc);
+  } catch (error) {
+    console.error('Product revision error:', error.message);
+  }
+});
+
+// Query filter for products customers can see at `now`. The $not forms
+// also match documents where the date is null or missing.
+productSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    status: { $nin: ['draft', 'archived'] },
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } }
+  };
+};
+
+productSchema.methods.isPublicAt = function(now = new Date()) {
+  return this.isActive &&
+    !['draft', 'archived'].includes(this.status) &&
+    !(this.publishAt > now) &&
+    !(this.unpublishAt && this.unpublishAt <= now);
+};
+
+// Status as customers experience it right now: a scheduled product past
+// publishAt is live, anything past unpublishAt is off the shelf
+productSchema.virtual('effectiveStatus').get(function() {
+  const now = new Date();
+  if (this.status === 'draft' || this.status === 'archived') return this.status;
+  if (this.unpublishAt && this.unpublishAt <= now) return 'archived';
+  if (this.publishAt > now) return 'scheduled';
+  return 'published';
+});
+
+// Running sale campaign that beats the regular price, if any:
+// { price, campaign: { id, name, endsAt } }
+productSchema.virtual('sale').get(function() {
+  return findSale(this);
+});
+
 productSchema.virtual('discountPercentage').get(function() {
-  if (this.price.discounted && this.price.original > 0) {
+  const price = this.effectivePrice;
+  if (price < this.price.original && this.price.original > 0) {
     return Math.round(
-      ((this.price.original - this.price.discounted) / this.price.original) * 100
+      ((this.price.original - price) / this.price.original) * 100
     );
   }
   return 0;
 });
 
 productSchema.virtual('effectivePrice').get(function() {
-  return this.price.discounted || this.price.original;
+  return effectivePriceOf(this);
 });
 
+const categoryIdOf = (product) => (product.category ? String(product.category._id || product.category) : null);
+
+// Template in effect and where it came from: product, category or default
+productSchema.methods.resolveWhatsAppTemplate = async function() {
+  return pickTemplate(this, hasOwnTemplate(this) ? null : await Category.templateFor(categoryIdOf(this)));
+};
+
+// Link with the customer's choices filled in. number overrides the
+// product's own WhatsApp number, e.g. with a routed sales agent's.
+// options: { variantIds, quantity, customerName, template, number }
+productSchema.methods.buildWhatsAppLink = async function(options = {}) {
+  const template = options.template || (await this.resolveWhatsAppTemplate()).template;
+  return productWhatsAppUrl(this, template, options);
+};
+
+// Resolve the templates of many products up front (two queries in all), so
+// their whatsappLink matches the message /redirect sends
+productSchema.statics.loadWhatsAppTemplates = async function(products) {
+  const categoryIds = [...new Set(products.filter((p) => !hasOwnTemplate(p)).map(categoryIdOf).filter(Boolean))];
+  const templates = categoryIds.length > 0 ? await Category.templatesFor(categoryIds) : new Map();
+  for (const product of products) {
+    product.$locals.whatsappTemplate = pickTemplate(product, templates.get(categoryIdOf(product)) ?? null).template;
+  }
+  return products;
+};
+
+// Link for API responses, with the template from loadWhatsAppTemplates();
+// products that skipped it fall back to the populated category's own
+// template without walking up to its ancestors
 productSchema.virtual('whatsappLink').get(function() {
   if (!this.whatsappNumber) return null;
-  const cleanNumber = this.whatsappNumber.replace(/[\s+]/g, '');
-  const message = this.whatsappMessage
-    .replace('{productName}', this.name)
-    .replace('{productPrice}', `₹${this.effectivePrice}`)
-    .replace('{productSKU}', this.sku || '')
-    .replace('{productCategory}', this.category?.name || '');
-  const encodedMessage = encodeURIComponent(message);
-  return `https://wa.me/${cleanNumber}?text=${encodedMessage}`;
+  const template = this.$locals.whatsappTemplate ||
+    pickTemplate(this, this.category?.whatsappTemplate).template;
+  return productWhatsAppUrl(this, template);
 });
 
 productSchema.set('toJSON', { virtuals: true });
@@ -243,4 +734,4 @@ productSchema.set('toObject', { virtuals: true });
 
 const Product = mongoose.model('Product', productSchema);
 
-export { Category, Product };
\ No newline at end of file
+export { Category, Product, PRODUCT_STATUSES, TRASH_RETENTION_DAYS };
\ No newline at end of file
@@ -0,0 +1,207 @@
+// models/orderModel.js
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'in-production', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next states for each status; delivered and cancelled are final
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in-production', 'shipped', 'cancelled'],
+  'in-production': ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // _id of the entry in product.variants, if a variant was chosen
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Snapshot of the product at order time, so later catalog edits
+  // don't rewrite what was actually sold
+  name: {
+    type: String,
+    required: true
+  },
+  sku: String,
+  variantLabel: String,
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  lineTotal: {
+    type: Number,
+    min: 0
+  }
+});
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'Order must contain at least one item'
+    }
+  },
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Customer phone is required'],
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return /^\+?[1-9]\d{1,14}$/.test(v);
+        },
+        message: 'Please enter a valid phone number (with country code)'
+      }
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/.+@.+\..+/, 'Please use a valid email address']
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  shippingAddress: {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'India' }
+  },
+  source: {
+    type: String,
+    enum: ['whatsapp', 'manual'],
+    default: 'manual'
+  },
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inquiry'
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ORDER_STATUSES
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // True while confirmed stock is held for this order (see utils/inventory.js)
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  // Currency of every amount on the order
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  shippingFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping fee cannot be negative']
+  },
+  // Coupon applied when the order was created; the code and amount are
+  // kept even if the coupon is later edited or deleted
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  total: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'customer.phone': 1 });
+orderSchema.index({ inquiry: 1 });
+orderSchema.index({ 'items.product': 1 });
+orderSchema.index({ coupon: 1, user: 1 });
+orderSchema.index({ coupon: 1, 'customer.phone': 1 });
+
+orderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.orderNumber = `ORD-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  this.items.forEach((item) => {
+    item.lineTotal = item.unitPrice * item.quantity;
+  });
+  this.subtotal = this.items.reduce((sum, item) => sum + item.lineTotal, 0);
+  this.total = Math.max(0, this.subtotal - (this.discount || 0)) + (this.shippingFee || 0);
+  next();
+});
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+export { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS };
+export default Order;
@@ -0,0 +1,103 @@
+// models/productRevisionModel.js
+import mongoose from 'mongoose';
+import { toSnapshot } from '../utils/diff.js';
+
+// Editable product content captured in each revision. Stock is left out:
+// it moves with every order and has its own history in StockMovement.
+const REVISIONED_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'images',
+  'price',
+  'currency',
+  'variants',
+  'specifications',
+  'tags',
+  'sku',
+  'whatsappNumber',
+  'whatsappMessage',
+  'isActive',
+  'isFeatured',
+  'status',
+  'publishAt',
+  'unpublishAt',
+  'sortOrder'
+];
+
+const REVISION_SOURCES = ['create', 'update', 'rollback', 'system'];
+
+const productRevisionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // 1, 2, 3... per product
+  revision: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields that differ from the previous revision
+  changedFields: [String],
+  source: {
+    type: String,
+    enum: REVISION_SOURCES,
+    default: 'system'
+  },
+  // Revision number this one was rolled back to
+  rolledBackTo: Number,
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+
+// Revisioned content of a product as plain JSON
+productRevisionSchema.statics.snapshotOf = function(product) {
+  const data = toSnapshot(product);
+  const snapshot = {};
+  for (const field of REVISIONED_FIELDS) {
+    if (data[field] !== undefined) snapshot[field] = data[field];
+  }
+  snapshot.variants = (snapshot.variants || []).map(({ stock, available, ...variant }) => variant);
+  return snapshot;
+};
+
+// Store a new revision unless the content matches the latest one (saves that
+// only touch stock, views or trash state don't create revisions).
+// `product.$locals` may carry revisionAuthor, revisionSource and rolledBackTo.
+productRevisionSchema.statics.recordFor = async function(product) {
+  const snapshot = this.snapshotOf(product);
+  const latest = await this.findOne({ product: product._id }).sort({ revision: -1 });
+
+  const changedFields = REVISIONED_FIELDS.filter((field) =>
+    JSON.stringify(snapshot[field]) !== JSON.stringify(latest?.snapshot[field])
+  );
+  if (latest && changedFields.length === 0) return null;
+
+  const { revisionAuthor, revisionSource, rolledBackTo } = product.$locals;
+  return this.create({
+    product: product._id,
+    revision: (latest?.revision || 0) + 1,
+    snapshot,
+    changedFields,
+    source: revisionSource || (latest ? 'system' : 'create'),
+    rolledBackTo,
+    author: revisionAuthor
+  });
+};
+
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+export { REVISIONED_FIELDS, REVISION_SOURCES };
+export default ProductRevision;
@@ -0,0 +1,57 @@
+// models/recentlyViewedModel.js
+import mongoose from 'mongoose';
+
+const MAX_RECENTLY_VIEWED = 20;
+
+const recentlyViewedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Most recent first, capped at MAX_RECENTLY_VIEWED
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    viewedAt: Date
+  }]
+});
+
+// Move the product to the front of the user's history in one atomic write
+recentlyViewedSchema.statics.record = function(userId, productId) {
+  const product = new mongoose.Types.ObjectId(String(productId));
+  return this.updateOne(
+    { user: userId },
+    [{
+      $set: {
+        items: {
+          $slice: [
+            {
+              $concatArrays: [
+                [{ product, viewedAt: '$$NOW' }],
+                {
+                  $filter: {
+                    input: { $ifNull: ['$items', []] },
+                    as: 'item',
+                    cond: { $ne: ['$$item.product', product] }
+                  }
+                }
+              ]
+            },
+            MAX_RECENTLY_VIEWED
+          ]
+        }
+      }
+    }],
+    { upsert: true }
+  );
+};
+
+const RecentlyViewed = mongoose.model('RecentlyViewed', recentlyViewedSchema);
+
+export { MAX_RECENTLY_VIEWED };
+export default RecentlyViewed;
@@ -0,0 +1,98 @@
+// models/reviewModel.js
+import mongoose from 'mongoose';
+import { Product } from './model.js';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number of stars'
+    }
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  photos: {
+    type: [{
+      url: {
+        type: String,
+        required: [true, 'Photo URL is required']
+      },
+      public_id: {
+        type: String,
+        required: [true, 'Photo public_id is required']
+      }
+    }],
+    validate: {
+      validator: (photos) => photos.length <= 5,
+      message: 'A review can have at most 5 photos'
+    }
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Moderation note cannot exceed 300 characters']
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date
+}, {
+  timestamps: true
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Recompute Product.rating from approved reviews only
+reviewSchema.statics.recalculateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0
+  };
+
+  // Trashed products keep their rating current in case they're restored
+  await Product.updateOne({ _id: productId }, { $set: { rating } }, { withDeleted: true });
+  return rating;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export { REVIEW_STATUSES };
+export default Review;
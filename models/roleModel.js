@@ -0,0 +1,126 @@
+// models/roleModel.js
+import mongoose from 'mongoose';
+
+// Every permission a staff role can hold; '*' grants all of them
+const PERMISSIONS = [
+  'product:write',
+  'category:write',
+  'promotion:write',
+  'upload:write',
+  'inventory:read',
+  'inventory:write',
+  'order:read',
+  'order:write',
+  'inquiry:read',
+  'agent:manage',
+  'review:moderate',
+  'user:read',
+  'user:manage',
+  'role:manage',
+  'audit:read'
+];
+
+// Seeded on startup; 'owner' is a system role and can't be edited or removed
+const DEFAULT_ROLES = [
+  {
+    name: 'owner',
+    description: 'Full access, including users and roles',
+    permissions: ['*'],
+    isSystem: true
+  },
+  {
+    name: 'catalog-editor',
+    description: 'Manages products, categories, promotions, images, stock and reviews',
+    permissions: [
+      'product:write', 'category:write', 'promotion:write', 'upload:write',
+      'inventory:read', 'inventory:write', 'review:moderate'
+    ]
+  },
+  {
+    name: 'order-manager',
+    description: 'Handles WhatsApp inquiries, sales agents and orders',
+    permissions: ['order:read', 'order:write', 'inquiry:read', 'agent:manage', 'inventory:read']
+  },
+  {
+    name: 'viewer',
+    description: 'Read-only access to orders, inquiries and stock',
+    permissions: ['order:read', 'inquiry:read', 'inventory:read']
+  }
+];
+
+// 'user' is the customer role and 'admin' predates role management;
+// admin accounts keep owner permissions until reassigned
+const RESERVED_ROLE_NAMES = ['user', 'admin'];
+const LEGACY_ROLE_ALIASES = { admin: 'owner' };
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,30}$/, 'Role name may only contain lowercase letters, numbers and dashes'],
+    validate: {
+      validator: (name) => !RESERVED_ROLE_NAMES.includes(name),
+      message: 'This role name is reserved'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (perms) => perms.every((p) => p === '*' || PERMISSIONS.includes(p)),
+      message: 'Unknown permission'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Permissions are checked on every admin request, so they're cached briefly
+const CACHE_TTL = 60 * 1000;
+let permissionCache = { roles: null, expiresAt: 0 };
+
+roleSchema.statics.clearPermissionCache = function() {
+  permissionCache = { roles: null, expiresAt: 0 };
+};
+
+roleSchema.statics.getPermissions = async function(roleName) {
+  if (!permissionCache.roles || permissionCache.expiresAt <= Date.now()) {
+    const roles = await this.find().select('name permissions').lean();
+    permissionCache = {
+      roles: new Map(roles.map((r) => [r.name, new Set(r.permissions)])),
+      expiresAt: Date.now() + CACHE_TTL
+    };
+  }
+  const name = LEGACY_ROLE_ALIASES[roleName] || roleName;
+  return permissionCache.roles.get(name) || new Set();
+};
+
+// Insert missing default roles without touching edited ones
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(DEFAULT_ROLES.map((role) => this.updateOne(
+    { name: role.name },
+    { $setOnInsert: role },
+    { upsert: true }
+  )));
+  this.clearPermissionCache();
+};
+
+roleSchema.post(['save', 'findOneAndUpdate', 'updateOne', 'deleteOne', 'findOneAndDelete'], function() {
+  permissionCache = { roles: null, expiresAt: 0 };
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export { PERMISSIONS, DEFAULT_ROLES, RESERVED_ROLE_NAMES, LEGACY_ROLE_ALIASES };
+export default Role;
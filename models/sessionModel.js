@@ -0,0 +1,79 @@
+// models/sessionModel.js
+import mongoose from 'mongoose';
+
+const SESSION_REVOKE_REASONS = [
+  'logout',
+  'logout-all',
+  'user-revoked',
+  'reuse-detected',
+  'password-reset',
+  'password-change',
+  'deactivated'
+];
+
+// One session per login ("token family"). Every refresh rotates the token;
+// hashes of rotated-out tokens are kept so replaying one can be detected.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: SESSION_REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ tokenHash: 1 });
+// Expired sessions (revoked or not) are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export { SESSION_REVOKE_REASONS };
+export default Session;
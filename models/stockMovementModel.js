@@ -0,0 +1,81 @@
+// models/stockMovementModel.js
+import mongoose from 'mongoose';
+
+const STOCK_MOVEMENT_REASONS = [
+  'initial',        // stock set when a variant is first created
+  'restock',        // new pieces finished or purchased
+  'adjustment',     // manual count correction
+  'damaged',
+  'returned',
+  'order-reserved', // order confirmed
+  'order-released'  // reserved order cancelled
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  variantLabel: String,
+  change: {
+    type: Number,
+    required: true
+  },
+  stockBefore: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: [true, 'Reason code is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+// The history is append-only: refuse any update or delete through the model
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  stockMovementSchema.pre(op, rejectMutation);
+}
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export { STOCK_MOVEMENT_REASONS };
+export default StockMovement;
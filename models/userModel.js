@@ -1,6 +1,8 @@
 // models/userModel.js
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { hashToken } from '../utils/hashToken.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -25,15 +27,76 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false
   },
+  // 'user' for customers; staff accounts hold the name of a Role
+  // (see models/roleModel.js). Legacy 'admin' resolves to owner.
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Verification and reset tokens are stored as SHA-256 hashes;
+  // the raw token only ever exists in the email link
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication (admins)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret (see utils/totp.js)
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first successful code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Part of every access token; bumping it invalidates all of them at once
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   lastLogin: {
     type: Date
   },
@@ -43,15 +106,7 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
-  },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
-    }
-  }]
+  }
 }, {
   timestamps: true
 });
@@ -66,12 +121,52 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = Date.now();
     next();
   } catch(err) {
     next(err);
   }
 });
 
+// Changing any of these must cut off tokens issued before the change
+const TOKEN_INVALIDATING_FIELDS = ['password', 'role', 'isActive'];
+
+userSchema.pre('save', function(next) {
+  if (!this.isNew && TOKEN_INVALIDATING_FIELDS.some((field) => this.isModified(field))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
+
+// Same rule for updates that bypass save()
+userSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const touches = (field) => field in update
+    || (update.$set && field in update.$set)
+    || (update.$unset && field in update.$unset);
+
+  if (TOKEN_INVALIDATING_FIELDS.some(touches)) {
+    update.$inc = { ...update.$inc, tokenVersion: 1 };
+  }
+  next();
+});
+
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  return token;
+};
+
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  return token;
+};
+
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
@@ -102,5 +197,19 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Accounts created before email verification existed have no
+// emailVerified field; they'd otherwise load with the false default and be
+// locked out of verified-only routes. Runs on every startup; once the field
+// is written everywhere it matches nothing.
+userSchema.statics.backfillEmailVerified = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`✅ Marked ${modifiedCount} existing users as email-verified`);
+  }
+};
+
 const User = mongoose.model('User', userSchema);
 export default User;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// models/wishlistModel.js
+import mongoose from 'mongoose';
+
+const MAX_WISHLIST_ITEMS = 100;
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Effective price when saved, used for the price-drop indicator
+    priceAtAdd: {
+      type: Number,
+      min: 0
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export { MAX_WISHLIST_ITEMS };
+export default Wishlist;
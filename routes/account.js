@@ -0,0 +1,216 @@
+// routes/account.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Product } from '../models/model.js';
+import Wishlist, { MAX_WISHLIST_ITEMS } from '../models/wishlistModel.js';
+import RecentlyViewed from '../models/recentlyViewedModel.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// tags and category are needed to work out sale campaign prices
+const PRODUCT_CARD_FIELDS = 'name sku images price tags inStock isActive status publishAt unpublishAt variants category rating';
+
+// Shape a product for the storefront rails
+const toProductCard = (product) => ({
+  id: product._id,
+  name: product.name,
+  sku: product.sku,
+  image: product.images?.[0]?.url || null,
+  price: product.price,
+  effectivePrice: product.effectivePrice,
+  discountPercentage: product.discountPercentage,
+  rating: product.rating,
+  inStock: product.inStock !== false
+});
+
+// =====================
+// WISHLIST
+// =====================
+
+// User: Get wishlist with stock and price-drop indicators
+router.get('/wishlist', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user.id })
+      .populate('items.product', PRODUCT_CARD_FIELDS);
+
+    // Products deleted since they were saved are simply dropped
+    const items = (wishlist?.items || [])
+      .filter((item) => item.product)
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .map((item) => {
+        const currentPrice = item.product.effectivePrice;
+        const priceDrop = item.priceAtAdd !== undefined && currentPrice < item.priceAtAdd
+          ? item.priceAtAdd - currentPrice
+          : 0;
+
+        return {
+          product: toProductCard(item.product),
+          addedAt: item.addedAt,
+          priceAtAdd: item.priceAtAdd,
+          currentPrice,
+          priceDropped: priceDrop > 0,
+          priceDrop,
+          // Hidden products stay listed but can't be ordered
+          available: item.product.isPublicAt() && item.product.inStock !== false
+        };
+      });
+
+    res.json({ success: true, count: items.length, data: items });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wishlist',
+      error: error.message
+    });
+  }
+});
+
+// User: Add product to wishlist
+router.post('/wishlist', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findOne({ ...Product.publicFilter(), _id: productId }).select('price')
+      : null;
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user.id });
+    if (wishlist?.items.some((item) => item.product.equals(product._id))) {
+      return res.json({
+        success: true,
+        message: 'Product is already in your wishlist'
+      });
+    }
+
+    if (wishlist && wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Wishlist cannot hold more than ${MAX_WISHLIST_ITEMS} products`
+      });
+    }
+
+    // The product filter keeps concurrent adds from saving a duplicate
+    await Wishlist.updateOne(
+      { user: req.user.id, 'items.product': { $ne: product._id } },
+      { $push: { items: { product: product._id, priceAtAdd: product.effectivePrice } } },
+      { upsert: !wishlist }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Product added to wishlist'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Product is already in your wishlist'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to wishlist',
+      error: error.message
+    });
+  }
+});
+
+// User: Remove product from wishlist
+router.delete('/wishlist/:productId', protect, async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product id'
+      });
+    }
+
+    const result = await Wishlist.updateOne(
+      { user: req.user.id },
+      { $pull: { items: { product: productId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not in wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product removed from wishlist'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing from wishlist',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// RECENTLY VIEWED
+// =====================
+
+// User: Recently viewed products (recorded by GET /api/product/:id)
+router.get('/recently-viewed', protect, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const limitNum = Math.max(1, Math.min(20, parseInt(limit) || 10));
+
+    const history = await RecentlyViewed.findOne({ user: req.user.id })
+      .populate({
+        path: 'items.product',
+        match: Product.publicFilter(),
+        select: PRODUCT_CARD_FIELDS
+      });
+
+    const items = (history?.items || [])
+      .filter((item) => item.product)
+      .slice(0, limitNum)
+      .map((item) => ({
+        product: toProductCard(item.product),
+        viewedAt: item.viewedAt
+      }));
+
+    res.json({ success: true, count: items.length, data: items });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recently viewed products',
+      error: error.message
+    });
+  }
+});
+
+// User: Clear recently viewed history
+router.delete('/recently-viewed', protect, async (req, res) => {
+  try {
+    await RecentlyViewed.deleteOne({ user: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Recently viewed history cleared'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing recently viewed history',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+// routes/agents.js
+import express from 'express';
+import mongoose from 'mongoose';
+import Agent from '../models/agentModel.js';
+import { Category } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toSnapshot } from '../utils/diff.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const canManage = requirePermission('agent:manage');
+
+// Editable fields; lastAssignedAt only moves when inquiries are routed
+const AGENT_FIELDS = ['name', 'whatsappNumber', 'languages', 'categories', 'workingHours', 'timezone', 'isActive'];
+
+const assignFields = (agent, body) => {
+  for (const field of AGENT_FIELDS) {
+    if (body[field] !== undefined) agent[field] = body[field];
+  }
+};
+
+const assertCategoriesExist = async (ids) => {
+  if (ids === undefined) return;
+  if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    const error = new Error('categories must be a list of ids');
+    error.statusCode = 400;
+    throw error;
+  }
+  const found = await Category.countDocuments({ _id: { $in: ids } });
+  if (found !== new Set(ids.map(String)).size) {
+    const error = new Error('Some categories were not found');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const sendWriteError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Another agent already uses this WhatsApp number'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid agent data',
+      error: error.message
+    });
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    error: error.message
+  });
+};
+
+// Admin: List agents with whether they're on shift right now
+router.get('/', canManage, async (req, res) => {
+  try {
+    const agents = await Agent.find()
+      .populate('categories', 'name slug')
+      .sort({ name: 1 })
+      .select('-__v');
+
+    const now = new Date();
+    res.json({
+      success: true,
+      count: agents.length,
+      data: agents.map((agent) => ({
+        ...agent.toJSON(),
+        availableNow: agent.isAvailableAt(now)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching agents',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Add an agent. Example body:
+// { name, whatsappNumber, languages: ['en', 'hi'], categories: [...],
+//   workingHours: [{ days: [1, 2, 3, 4, 5], start: '10:00', end: '19:00' }] }
+// A shift like { start: '22:00', end: '06:00' } runs overnight.
+router.post('/', canManage, async (req, res) => {
+  try {
+    await assertCategoriesExist(req.body.categories);
+
+    const agent = new Agent();
+    assignFields(agent, req.body);
+
+    const savedAgent = await agent.save();
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Agent',
+      entityId: savedAgent._id,
+      label: savedAgent.name,
+      after: savedAgent
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent created successfully',
+      data: savedAgent
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error creating agent');
+  }
+});
+
+// Admin: Update agent
+router.put('/:id', canManage, async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    await assertCategoriesExist(req.body.categories);
+
+    const before = toSnapshot(agent);
+    assignFields(agent, req.body);
+
+    const updatedAgent = await agent.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Agent',
+      entityId: updatedAgent._id,
+      label: updatedAgent.name,
+      before,
+      after: updatedAgent
+    });
+
+    res.json({
+      success: true,
+      message: 'Agent updated successfully',
+      data: updatedAgent
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error updating agent');
+  }
+});
+
+// Admin: Remove agent. Past inquiries keep the agent id and number they
+// were routed to; set isActive to false instead to pause an agent.
+router.delete('/:id', canManage, async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.params.id);
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent not found'
+      });
+    }
+
+    await agent.deleteOne();
+    await AuditLog.record(req, {
+      action: 'delete',
+      entity: 'Agent',
+      entityId: agent._id,
+      label: agent.name,
+      before: agent
+    });
+
+    res.json({
+      success: true,
+      message: 'Agent deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting agent',
+      error: error.message
+    });
+  }
+});
+
+export default router;
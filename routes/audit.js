@@ -0,0 +1,74 @@
+// routes/audit.js
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog, { AUDIT_ACTIONS } from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Admin: Query the audit log. `field` matches entries that changed a given
+// field, e.g. field=price.original to find who changed a price.
+router.get('/', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actor, entity, entityId, action, field, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid actor id'
+        });
+      }
+      filter.actor = actor;
+    }
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = String(entityId);
+    if (action) {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid action. Allowed: ${AUDIT_ACTIONS.join(', ')}`
+        });
+      }
+      filter.action = action;
+    }
+    if (field) filter['changes.field'] = String(field);
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,19 +1,182 @@
 // routes/auth.js
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../models/userModel.js';
-import { generateAccessToken, generateRefreshToken, protect } from '../middleware/auth.js';
+import Session from '../models/sessionModel.js';
+import LoginEvent from '../models/loginEventModel.js';
+import Invitation from '../models/invitationModel.js';
+import Role from '../models/roleModel.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  protect,
+  generateEnrollmentToken,
+  staffOnly,
+  isStaff,
+  REFRESH_TOKEN_TTL_MS
+} from '../middleware/auth.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/mailer.js';
+import { hashToken } from '../utils/hashToken.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes
+} from '../utils/totp.js';
 
 const router = express.Router();
 
+// Strong password rule for admin accounts
+const strongPasswordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{12,}$/;
+
+// Issue a fresh verification token and mail it. Mail failures are logged,
+// not thrown, so they never undo the action that triggered them.
+const issueVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  try {
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return false;
+  }
+};
+
+// Start a new session (token family) for a successful login
+const startSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user._id, sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    deviceName: typeof req.body.deviceName === 'string' ? req.body.deviceName : undefined,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return {
+    sessionId,
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+const loginResponse = (user, { accessToken, refreshToken }) => ({
+  success: true,
+  accessToken,
+  refreshToken,
+  user: {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    twoFactorEnabled: !!user.twoFactor?.enabled
+  },
+  // Sessions from before 2FA was required for staff
+  twoFactorSetupRequired: isStaff(user) && !user.twoFactor?.enabled
+});
+
+// Staff without 2FA get no session, only a short-lived token that
+// /2fa/setup and /2fa/enable accept; enabling 2FA completes the login.
+// Owners can send a fresh one with POST /api/users/:id/reissue-enrollment.
+const ENROLLMENT_TTL_SECONDS = 15 * 60;
+
+const enrollmentResponse = (user) => ({
+  success: true,
+  twoFactorSetupRequired: true,
+  enrollmentToken: generateEnrollmentToken(user, ENROLLMENT_TTL_SECONDS),
+  expiresIn: ENROLLMENT_TTL_SECONDS
+});
+
+// An owner on a store where no owner has 2FA yet, i.e. the account made by
+// /register-admin, who has nobody to send them an enrollment link
+const isBootstrapOwner = async (user) => {
+  if (!(await Role.getPermissions(user.role)).has('*')) return false;
+  const owners = await User.find({ role: { $ne: 'user' }, 'twoFactor.enabled': true }).select('role');
+  for (const owner of owners) {
+    if ((await Role.getPermissions(owner.role)).has('*')) return false;
+  }
+  return true;
+};
+
+// Signed-in staff, or staff holding an enrollment token in the body
+const protectEnrollment = async (req, res, next) => {
+  const { enrollmentToken } = req.body;
+  if (!enrollmentToken) return protect(req, res, () => staffOnly(req, res, next));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(enrollmentToken, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  const user = decoded?.purpose === '2fa-enroll'
+    ? await User.findById(decoded.id).select('role isActive tokenVersion twoFactor.enabled')
+    : null;
+  // Spent once 2FA is on, so a leaked link can't re-enroll someone else's device
+  if (!user || !user.isActive || !isStaff(user) || user.twoFactor?.enabled ||
+    (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Enrollment link expired. Ask an owner to send a new one.'
+    });
+  }
+
+  req.user = { id: user._id.toString(), role: user.role };
+  req.enrolling = true;
+  next();
+};
+
+// Check a TOTP code or a backup code for a user loaded with the
+// twoFactor secret fields. Both are consumed atomically, so the same
+// code can't be used twice even by concurrent requests.
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (backupCode) {
+    const codeHash = hashToken(String(backupCode).trim().toLowerCase());
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': codeHash },
+      { $pull: { 'twoFactor.backupCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
 // Register (Regular User Only - No Admin)
 router.post('/register', async (req, res) => {
   try {
     const { username, email, password, role } = req.body;
 
     // Prevent admin registration through regular signup
-    if (role === 'admin') {
+    if (role && role !== 'user') {
       return res.status(403).json({
         success: false,
         message: 'Admin registration not allowed through this endpoint'
@@ -45,14 +208,17 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Force role to 'user' for regular registration
     // Force role to 'user' for regular registration
     const user = new User({ username, email, password, role: 'user' });
     await user.save();
 
+    const emailSent = await issueVerificationEmail(user);
+
     return res.status(201).json({
       success: true,
-      message: 'User registered successfully'
+      message: emailSent
+        ? 'User registered successfully. Please check your email to verify your account.'
+        : 'User registered successfully, but the verification email could not be sent. Request a new one after logging in.'
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -63,11 +229,19 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// Register Admin (Requires Admin Secret Token)
+// Register the first admin as owner (bootstrap only). Once any staff account
+// exists, new staff join through invitations from POST /api/users/invitations.
 router.post('/register-admin', async (req, res) => {
   try {
     const { username, email, password, adminToken } = req.body;
 
+    if (await User.exists({ role: { $ne: 'user' } })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin registration is closed. Ask an existing admin for an invitation.'
+      });
+    }
+
     // Verify admin token
     if (!adminToken || adminToken !== process.env.ADMIN_SECRET_TOKEN) {
       return res.status(403).json({
@@ -91,7 +265,6 @@ router.post('/register-admin', async (req, res) => {
     }
 
     // Strong password validation for admin
-    const strongPasswordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{12,}$/;
     if (!strongPasswordRegex.test(password)) {
       return res.status(400).json({
         success: false,
@@ -114,7 +287,7 @@ router.post('/register-admin', async (req, res) => {
       username, 
       email, 
       password, 
-      role: 'admin' 
+      role: 'owner' 
     });
     await admin.save();
 
@@ -139,7 +312,7 @@ router.post('/register-admin', async (req, res) => {
 // Login (For both users and admins)
 router.post('/login', async (req, res) => {
   try {
-    const { email, password, adminToken } = req.body;
+    const { email, password } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -157,19 +330,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // If user is admin, require admin token for login
-    if (user.role === 'admin') {
-      if (!adminToken || adminToken !== process.env.ADMIN_SECRET_TOKEN) {
-        // Increment failed attempts even for missing admin token
-        await user.incrementLoginAttempts();
-        return res.status(403).json({
-          success: false,
-          message: 'Admin token required for admin login'
-        });
-      }
-    }
-
     if (user.isLocked) {
+      await LoginEvent.record(user, 'locked', req);
       return res.status(423).json({
         success: false,
         message: 'Account locked due to too many failed login attempts. Try again later.'
@@ -180,31 +342,62 @@ router.post('/login', async (req, res) => {
     
     if (!isMatch) {
       await user.incrementLoginAttempts();
+      await LoginEvent.record(user, 'invalid-password', req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    await user.resetLoginAttempts();
+    // Checked after the password so deactivation doesn't reveal valid emails
+    if (!user.isActive) {
+      await LoginEvent.record(user, 'inactive', req);
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
 
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id);
+    // Staff must enroll in 2FA before they get a session. Enrollment comes
+    // from an invitation or an owner's link; the only self-service case is
+    // the bootstrap owner, before any owner has 2FA to send one.
+    if (isStaff(user) && !user.twoFactor?.enabled) {
+      await user.resetLoginAttempts();
+      if (await isBootstrapOwner(user)) {
+        await LoginEvent.record(user, '2fa-setup-required', req);
+        return res.json(enrollmentResponse(user));
+      }
+      await LoginEvent.record(user, '2fa-not-enrolled', req);
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+        message: 'Staff accounts need two-factor authentication. Ask an owner to send you an enrollment link.'
+      });
+    }
 
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Second step: tokens are only issued by /login/2fa after the TOTP check
+    if (user.twoFactor?.enabled) {
+      await LoginEvent.record(user, '2fa-required', req);
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: '2fa-login', tv: user.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
 
-    return res.json({
-      success: true,
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: 300
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    const tokens = await startSession(user, req);
+    await LoginEvent.record(user, 'success', req, tokens.sessionId);
+
+    return res.json(loginResponse(user, tokens));
   } catch (error) {
     console.error('Login error:', error);
     return res.status(500).json({
@@ -214,12 +407,80 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Refresh token
+// Login step two: TOTP or backup code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa-login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled
+      || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please log in again'
+      });
+    }
+
+    if (user.isLocked) {
+      await LoginEvent.record(user, 'locked', req);
+      return res.status(423).json({
+        success: false,
+        message: 'Account locked due to too many failed login attempts. Try again later.'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, backupCode }))) {
+      await user.incrementLoginAttempts();
+      await LoginEvent.record(user, 'invalid-2fa-code', req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    const tokens = await startSession(user, req);
+    await LoginEvent.record(user, 'success', req, tokens.sessionId);
+
+    return res.json(loginResponse(user, tokens));
+  } catch (error) {
+    console.error('2FA login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while logging in'
+    });
+  }
+});
+
+// Refresh token (rotates the refresh token on every use)
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
-    if (!refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
       return res.status(400).json({
         success: false,
         message: 'Refresh token required'
@@ -227,30 +488,71 @@ router.post('/refresh', async (req, res) => {
     }
 
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    const user = await User.findById(decoded.id);
-    
-    if (!user || !user.isActive) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = decoded.sid
+      ? await Session.findOne({ _id: decoded.sid, user: decoded.id }).select('+previousTokenHashes')
+      : null;
+
+    if (!session || !session.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    const tokenExists = user.refreshTokens.some(t => t.token === refreshToken);
-    
-    if (!tokenExists) {
+    // A token that was already rotated out is being replayed: assume it was
+    // stolen and kill the whole family, including the legitimate holder
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      await session.revoke('reuse-detected');
+      console.warn(`Refresh token reuse detected for user ${decoded.id}, session ${session._id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. All sessions for this device have been signed out.',
+        code: 'TOKEN_REUSE_DETECTED'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    const newAccessToken = generateAccessToken(user._id, user.role);
+    const newRefreshToken = generateRefreshToken(user._id, session._id);
+
+    // Conditional on the current hash, so two racing refreshes can't both win
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashToken(newRefreshToken),
+          lastUsedAt: new Date(),
+          ip: req.ip,
+          userAgent: req.headers['user-agent'],
+          expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        },
+        // Keep enough history to catch replays without growing forever
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -50 } }
+      }
+    );
+
+    if (!rotated) {
+      await session.revoke('reuse-detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. All sessions for this device have been signed out.',
+        code: 'TOKEN_REUSE_DETECTED'
+      });
+    }
 
     return res.json({
       success: true,
-      accessToken: newAccessToken
+      accessToken: generateAccessToken(user, session._id),
+      refreshToken: newRefreshToken
     });
   } catch (error) {
     return res.status(401).json({
@@ -260,15 +562,22 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
-// Logout
+// Logout (current session)
 router.post('/logout', protect, async (req, res) => {
   try {
     const { refreshToken } = req.body;
-    
-    if (refreshToken) {
-      await User.findByIdAndUpdate(req.user.id, {
-        $pull: { refreshTokens: { token: refreshToken } }
-      });
+
+    let sessionId = req.user.sessionId;
+    if (!sessionId && refreshToken) {
+      const session = await Session.findOne({ user: req.user.id, tokenHash: hashToken(refreshToken) });
+      sessionId = session?._id;
+    }
+
+    if (sessionId) {
+      await Session.updateOne(
+        { _id: sessionId, user: req.user.id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
     }
 
     return res.json({
@@ -283,10 +592,642 @@ router.post('/logout', protect, async (req, res) => {
   }
 });
 
+// Logout everywhere
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout-all');
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+
+    return res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices'
+    });
+  }
+});
+
+// List active sessions (logged-in devices)
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.user.sessionId || null)
+      }))
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    const result = await Session.updateOne(
+      { _id: id, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'user-revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
+});
+
+// Accept an admin invitation and create the account
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the invitation token, username, and password'
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    if (!strongPasswordRegex.test(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin password must be at least 12 characters and contain uppercase, lowercase, number, and special character'
+      });
+    }
+
+    const existing = await User.findOne({
+      $or: [{ email: invitation.email }, { username }]
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already in use'
+      });
+    }
+
+    // Claim the invitation first so it can only ever create one account
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    let user;
+    try {
+      // The invite link arrived at this address, so it counts as verified
+      user = await User.create({
+        username,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        emailVerified: true
+      });
+    } catch (createError) {
+      await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      throw createError;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+
+    // No session until 2FA is set up; the enrollment token covers that
+    await LoginEvent.record(user, '2fa-setup-required', req);
+
+    return res.status(201).json({
+      ...enrollmentResponse(user),
+      message: 'Account created. Please set up two-factor authentication.'
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while accepting invitation'
+    });
+  }
+});
+
+// Verify email address
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token required'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const emailSent = await issueVerificationEmail(user);
+    if (!emailSent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send verification email, please try again later'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// Forgot password
+router.post('/forgot-password', async (req, res) => {
+  // Same answer whether or not the account exists, so emails can't be probed
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    return res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    if (isStaff(user) && !strongPasswordRegex.test(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin password must be at least 12 characters and contain uppercase, lowercase, number, and special character'
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    // Consume the token atomically so it can only ever be used once
+    const consumed = await User.updateOne(
+      { _id: user._id, passwordResetToken: hashToken(token) },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+    if (consumed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    // Receiving the reset link proves control of the mailbox
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every existing session
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
+    return res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// Change password (signs out every other device)
+router.post('/change-password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (isStaff(user) && !strongPasswordRegex.test(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin password must be at least 12 characters and contain uppercase, lowercase, number, and special character'
+      });
+    }
+
+    if (newPassword.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    // Saving a new password bumps tokenVersion, invalidating every access token
+    user.password = newPassword;
+    await user.save();
+
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.user.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'password-change' } }
+    );
+
+    return res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.',
+      // Fresh access token for this device; its refresh token stays valid
+      accessToken: req.user.sessionId ? generateAccessToken(user, req.user.sessionId) : undefined
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// Start 2FA enrollment: returns a secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', protectEnrollment, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Crochet Catalog'
+        })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app. With
+// an enrollment token this also completes the login.
+router.post('/2fa/enable', protectEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start setup first'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.map(hashToken);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const message = 'Two-factor authentication enabled. Store these backup codes somewhere safe; they are shown only once.';
+
+    if (req.enrolling) {
+      const tokens = await startSession(user, req);
+      await LoginEvent.record(user, 'success', req, tokens.sessionId);
+      return res.json({
+        ...loginResponse(user, tokens),
+        message,
+        data: { backupCodes }
+      });
+    }
+
+    return res.json({
+      success: true,
+      message,
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// Replace all backup codes
+router.post('/2fa/backup-codes', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.backupCodes': backupCodes.map(hashToken) } }
+    );
+
+    return res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while generating backup codes'
+    });
+  }
+});
+
+// Turn 2FA off (needs the password and a current code)
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isStaff(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts must keep two-factor authentication on'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, backupCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
 // Get current user
 router.get('/me', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password -refreshTokens');
+    const user = await User.findById(req.user.id).select('-password');
     
     if (!user) {
       return res.status(404).json({
@@ -0,0 +1,408 @@
+// routes/collections.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Category, Product } from '../models/model.js';
+import Collection, { COLLECTION_TYPES, COLLECTION_SORTS } from '../models/collectionModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { deleteFromCloudinary } from '../utils/cloudinaryHelpers.js';
+import { toSnapshot } from '../utils/diff.js';
+
+const router = express.Router();
+
+const canEdit = [protect, requirePermission('product:write')];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const PUBLIC_FIELDS = 'name slug description bannerImage type startsAt endsAt sortOrder';
+
+// Copy editable fields from a request body onto a collection. Products are
+// de-duplicated in the given order and must all exist; the rule category
+// may be an id or a slug.
+const applyCollectionFields = async (collection, body) => {
+  const { name, slug, description, type, sort, isActive, startsAt, endsAt, sortOrder, products, rules } = body;
+
+  if (name !== undefined) collection.name = name;
+  if (slug !== undefined) collection.slug = slug || undefined;
+  if (description !== undefined) collection.description = description;
+  if (type !== undefined) {
+    if (!COLLECTION_TYPES.includes(type)) {
+      throw badRequest(`Invalid type. Allowed: ${COLLECTION_TYPES.join(', ')}`);
+    }
+    collection.type = type;
+  }
+  if (sort !== undefined) collection.sort = sort;
+  if (isActive !== undefined) collection.isActive = isActive;
+  if (startsAt !== undefined) collection.startsAt = startsAt || null;
+  if (endsAt !== undefined) collection.endsAt = endsAt || null;
+  if (sortOrder !== undefined) collection.sortOrder = sortOrder;
+
+  if (products !== undefined) {
+    if (!Array.isArray(products) || !products.every((id) => mongoose.isValidObjectId(id))) {
+      throw badRequest('products must be a list of product ids');
+    }
+    const ids = [...new Set(products.map(String))];
+    const found = await Product.find({ _id: { $in: ids } }).distinct('_id');
+    const known = new Set(found.map(String));
+    const missing = ids.filter((id) => !known.has(id));
+    if (missing.length > 0) {
+      throw badRequest(`Products not found: ${missing.join(', ')}`);
+    }
+    collection.products = ids;
+  }
+
+  if (rules !== undefined) {
+    if (!rules || typeof rules !== 'object') throw badRequest('rules must be an object');
+    const { tags, tagMatch, category, includeSubcategories, minPrice, maxPrice } = rules;
+
+    if (tags !== undefined) {
+      collection.rules.tags = (Array.isArray(tags) ? tags : [tags])
+        .map((t) => String(t).trim())
+        .filter(Boolean);
+    }
+    if (tagMatch !== undefined) collection.rules.tagMatch = tagMatch;
+    if (includeSubcategories !== undefined) collection.rules.includeSubcategories = includeSubcategories;
+    if (minPrice !== undefined) collection.rules.minPrice = minPrice === '' || minPrice === null ? null : Number(minPrice);
+    if (maxPrice !== undefined) collection.rules.maxPrice = maxPrice === '' || maxPrice === null ? null : Number(maxPrice);
+
+    if (category !== undefined) {
+      if (!category) {
+        collection.rules.category = null;
+      } else {
+        const found = await Category.findOne(
+          mongoose.isValidObjectId(category) ? { _id: category } : { slug: String(category) }
+        ).select('_id');
+        if (!found) throw badRequest('Rule category not found');
+        collection.rules.category = found._id;
+      }
+    }
+  }
+};
+
+// =====================
+// PUBLIC ROUTES
+// =====================
+
+// Public: Collections that are active and inside their date window
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find(Collection.publicFilter())
+      .sort({ sortOrder: 1, name: 1 })
+      .select(PUBLIC_FIELDS);
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message
+    });
+  }
+});
+
+// Public: Collection with its published products. Manual collections keep
+// their arranged order; rule-based ones use the collection's sort.
+router.get('/:slug', async (req, res) => {
+  try {
+    const { page = 1, limit = 12, includeOutOfStock } = req.query;
+    const localize = await ExchangeRate.localizer(req.query.currency);
+
+    const collection = await Collection.findOne({
+      ...Collection.publicFilter(),
+      slug: String(req.params.slug).toLowerCase()
+    });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit) || 12));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = Product.publicFilter();
+    if (includeOutOfStock !== 'true') filter.inStock = { $ne: false };
+
+    let products;
+    let total;
+    if (collection.type === 'manual') {
+      // At most MAX_COLLECTION_PRODUCTS ids, so ordering happens in memory
+      const visible = await Product.find({ ...filter, _id: { $in: collection.products } }).distinct('_id');
+      const visibleIds = new Set(visible.map(String));
+      const orderedIds = collection.products.map(String).filter((id) => visibleIds.has(id));
+      const pageIds = orderedIds.slice(skip, skip + limitNum);
+
+      const pageProducts = await Product.find({ _id: { $in: pageIds } })
+        .populate('category', 'name slug')
+        .select('-__v');
+      const byId = new Map(pageProducts.map((p) => [p._id.toString(), p]));
+
+      products = pageIds.map((id) => byId.get(id)).filter(Boolean);
+      total = orderedIds.length;
+    } else {
+      Object.assign(filter, await collection.ruleFilter());
+
+      products = await Product.find(filter)
+        .populate('category', 'name slug')
+        .sort(COLLECTION_SORTS[collection.sort] || { createdAt: -1 })
+        .limit(limitNum)
+        .skip(skip)
+        .select('-__v');
+      total = await Product.countDocuments(filter);
+    }
+    await Product.loadWhatsAppTemplates(products);
+
+    res.json({
+      success: true,
+      collection: {
+        id: collection._id,
+        name: collection.name,
+        slug: collection.slug,
+        description: collection.description,
+        bannerImage: collection.bannerImage,
+        type: collection.type
+      },
+      count: products.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: products.map(localize)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN ROUTES
+// =====================
+
+// Admin: All collections, including inactive and scheduled ones
+router.get('/admin/all', canEdit, async (req, res) => {
+  try {
+    const collections = await Collection.find()
+      .sort({ sortOrder: 1, name: 1 })
+      .select('-__v');
+
+    const now = new Date();
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections.map((c) => ({
+        ...c.toJSON(),
+        productCount: c.type === 'manual' ? c.products.length : null,
+        live: c.isLiveAt(now)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collections',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Single collection for editing, with its products in order.
+// Unpublished products are included so the list can be arranged ahead of time.
+router.get('/admin/:id', canEdit, async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id)
+      .populate('rules.category', 'name slug')
+      .populate('products', 'name sku images price status isActive inStock');
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({ success: true, data: collection });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Create collection. The banner is uploaded first through
+// /api/upload/single and passed as imageUrl and public_id.
+router.post('/admin', canEdit, async (req, res) => {
+  try {
+    const { imageUrl, public_id } = req.body;
+
+    if (!imageUrl || !public_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageUrl and public_id are required'
+      });
+    }
+
+    const collection = new Collection({
+      bannerImage: { url: imageUrl, public_id },
+      createdBy: req.user.id
+    });
+    await applyCollectionFields(collection, req.body);
+
+    const savedCollection = await collection.save();
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Collection',
+      entityId: savedCollection._id,
+      label: savedCollection.name,
+      after: savedCollection
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: savedCollection
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name or slug already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection data',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating collection',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Update collection. Reordering a manual collection is done by
+// sending the full products list in the new order.
+router.put('/admin/:id', canEdit, async (req, res) => {
+  // Set once a new banner is attached, cleared once it's saved; only that
+  // upload is removed if the update fails
+  let pendingBanner = null;
+
+  try {
+    const { imageUrl, public_id } = req.body;
+
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const before = toSnapshot(collection);
+    const previousBanner = collection.bannerImage.public_id;
+    if (imageUrl && public_id && public_id !== previousBanner) pendingBanner = public_id;
+
+    await applyCollectionFields(collection, req.body);
+    if (pendingBanner) collection.bannerImage = { url: imageUrl, public_id };
+
+    const updatedCollection = await collection.save();
+    if (pendingBanner) {
+      pendingBanner = null;
+      await deleteFromCloudinary(previousBanner);
+    }
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Collection',
+      entityId: updatedCollection._id,
+      label: updatedCollection.name,
+      before,
+      after: updatedCollection
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: updatedCollection
+    });
+  } catch (error) {
+    if (pendingBanner) {
+      await deleteFromCloudinary(pendingBanner);
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collection name or slug already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collection data',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating collection',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Delete collection and its banner. Products are not affected.
+router.delete('/admin/:id', canEdit, async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    await collection.deleteOne();
+    await deleteFromCloudinary(collection.bannerImage.public_id);
+    await AuditLog.record(req, {
+      action: 'delete',
+      entity: 'Collection',
+      entityId: collection._id,
+      label: collection.name,
+      before: collection
+    });
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting collection',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+// routes/currencies.js
+import express from 'express';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { Product } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  CURRENCY_LOCALES,
+  normalizeCurrency
+} from '../utils/currency.js';
+
+const router = express.Router();
+
+const canEdit = [protect, requirePermission('product:write')];
+
+// Public: Supported currencies with their current rate against the base.
+// Currencies without a rate can't be requested yet.
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.currentRates();
+    const rateByCurrency = new Map(rates.map((r) => [r.currency, r]));
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      data: SUPPORTED_CURRENCIES.map((currency) => ({
+        currency,
+        locale: CURRENCY_LOCALES[currency],
+        rate: currency === BASE_CURRENCY ? 1 : rateByCurrency.get(currency)?.rate ?? null,
+        updatedAt: rateByCurrency.get(currency)?.updatedAt ?? null
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching currencies',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Rate history, newest first. Optional filter: currency.
+router.get('/rates/history', canEdit, async (req, res) => {
+  try {
+    const { currency, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (currency) filter.currency = normalizeCurrency(currency);
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(200, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const rates = await ExchangeRate.find(filter)
+      .populate('setBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await ExchangeRate.countDocuments(filter);
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: rates.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: rates
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rate history',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Set a new rate, e.g. { currency: 'USD', rate: 83.2 } for
+// 1 USD = 83.2 INR. Earlier rates stay in the history.
+router.post('/rates', canEdit, async (req, res) => {
+  try {
+    const { currency, rate, note } = req.body;
+
+    const previous = await ExchangeRate.findOne({ currency: normalizeCurrency(currency) })
+      .sort({ createdAt: -1 });
+
+    const exchangeRate = await ExchangeRate.create({
+      currency: normalizeCurrency(currency),
+      rate,
+      note,
+      setBy: req.user.id
+    });
+    // Re-rank products in this currency against everything else
+    await Product.syncBasePrices({ currency: exchangeRate.currency });
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'ExchangeRate',
+      entityId: exchangeRate.currency,
+      label: `${exchangeRate.currency}/${BASE_CURRENCY}`,
+      before: previous ? { rate: previous.rate } : { rate: null },
+      after: { rate: exchangeRate.rate }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `1 ${exchangeRate.currency} = ${exchangeRate.rate} ${BASE_CURRENCY}`,
+      data: exchangeRate
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid exchange rate',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error setting exchange rate',
+      error: error.message
+    });
+  }
+});
+
+export default router;
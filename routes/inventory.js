@@ -0,0 +1,185 @@
+// routes/inventory.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Product } from '../models/model.js';
+import StockMovement, { STOCK_MOVEMENT_REASONS } from '../models/stockMovementModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { adjustVariantStock, setVariantStock } from '../utils/inventory.js';
+
+const router = express.Router();
+
+// Reasons an admin may pick; order-* movements are written by the order flow
+const MANUAL_REASONS = STOCK_MOVEMENT_REASONS.filter((r) => !r.startsWith('order-'));
+
+// Admin: Stock overview per variant
+router.get('/', protect, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { category, lowStock, outOfStock } = req.query;
+
+    const match = { 'variants.0': { $exists: true } };
+    if (category && mongoose.isValidObjectId(category)) {
+      match.category = new mongoose.Types.ObjectId(category);
+    }
+
+    const variantMatch = {};
+    if (outOfStock === 'true') {
+      variantMatch['variants.stock'] = { $lte: 0 };
+    } else if (lowStock !== undefined) {
+      variantMatch['variants.stock'] = { $lte: Math.max(0, parseInt(lowStock) || 0) };
+    }
+
+    const rows = await Product.aggregate([
+      { $match: match },
+      { $unwind: '$variants' },
+      { $match: variantMatch },
+      { $sort: { 'variants.stock': 1, name: 1 } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          name: 1,
+          sku: 1,
+          isActive: 1,
+          variantId: '$variants._id',
+          variant: { $concat: ['$variants.name', ': ', '$variants.value'] },
+          stock: '$variants.stock',
+          available: '$variants.available'
+        }
+      }
+    ]);
+
+    res.json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Stock movement history
+router.get('/movements', protect, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { productId, variantId, orderId, reason, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const ids = { productId, variantId, orderId };
+    const invalidId = Object.keys(ids).find((key) => ids[key] && !mongoose.isValidObjectId(ids[key]));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId}`
+      });
+    }
+
+    const filter = {};
+    if (productId) filter.product = productId;
+    if (variantId) filter.variant = variantId;
+    if (orderId) filter.order = orderId;
+    if (reason) filter.reason = reason;
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid startDate or endDate'
+        });
+      }
+      filter.createdAt = {};
+      if (start) filter.createdAt.$gte = start;
+      if (end) filter.createdAt.$lte = end;
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const movements = await StockMovement.find(filter)
+      .populate('product', 'name sku')
+      .populate('order', 'orderNumber status')
+      .populate('actor', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await StockMovement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: movements.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: movements
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Adjust a variant's stock, either by a delta ({ change: -1 })
+// or to an absolute level after a count ({ stock: 4 })
+router.post('/product/:id/variants/:variantId/adjust', protect, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    const { change, stock, reason, note } = req.body;
+
+    if (!MANUAL_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason code is required. Allowed: ${MANUAL_REASONS.join(', ')}`
+      });
+    }
+
+    if ((change === undefined) === (stock === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either change or stock'
+      });
+    }
+
+    const result = stock !== undefined
+      ? await setVariantStock({
+        productId: id, variantId, stock: Number(stock), reason, note, actor: req.user.id
+      })
+      : await adjustVariantStock({
+        productId: id, variantId, change: Number(change), reason, note, actor: req.user.id
+      });
+
+    const { movement } = result;
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Product',
+      entityId: result.product._id,
+      label: `${result.product.name} (${movement.variantLabel})`,
+      before: { stock: movement.stockBefore },
+      after: { stock: movement.stockAfter, reason, note }
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: {
+        variant: result.variant,
+        inStock: result.product.inStock,
+        movement: result.movement
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error adjusting stock',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,537 @@
+// routes/orders.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Product } from '../models/model.js';
+import Inquiry from '../models/inquiryModel.js';
+import Order, { ORDER_STATUSES } from '../models/orderModel.js';
+import Coupon from '../models/couponModel.js';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { toSnapshot } from '../utils/diff.js';
+import { reserveOrderStock, releaseOrderStock } from '../utils/inventory.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  convertAmount
+} from '../utils/currency.js';
+
+const router = express.Router();
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Resolve requested items against the catalog and capture prices at order
+// time, converted into the order currency.
+// items: [{ productId, variantId?, quantity?, unitPrice? }]
+const buildOrderItems = async (items, currency = BASE_CURRENCY) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw badRequest('At least one order item is required');
+  }
+
+  const productIds = items.map((item) => item.productId);
+  if (!productIds.every((pid) => mongoose.isValidObjectId(pid))) {
+    throw badRequest('Invalid productId in order items');
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  return items.map((item) => {
+    const product = productMap.get(String(item.productId));
+    if (!product) {
+      throw badRequest(`Product ${item.productId} not found`);
+    }
+
+    let variant;
+    if (item.variantId) {
+      variant = product.variants.id(item.variantId);
+      if (!variant) {
+        throw badRequest(`Variant ${item.variantId} not found on ${product.name}`);
+      }
+    }
+
+    const quantity = parseInt(item.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw badRequest(`Invalid quantity for ${product.name}`);
+    }
+
+    // Handmade pieces are often priced on chat, so admins may override
+    // (in the order currency)
+    const unitPrice = item.unitPrice !== undefined
+      ? Number(item.unitPrice)
+      : convertAmount(product.effectivePrice, product.currency || BASE_CURRENCY, currency);
+    if (unitPrice === null) {
+      throw badRequest(`No exchange rate to price ${product.name} in ${currency}`);
+    }
+    if (Number.isNaN(unitPrice) || unitPrice < 0) {
+      throw badRequest(`Invalid unit price for ${product.name}`);
+    }
+
+    return {
+      product: product._id,
+      variant: variant?._id,
+      name: product.name,
+      sku: product.sku,
+      variantLabel: variant ? `${variant.name}: ${variant.value}` : undefined,
+      quantity,
+      unitPrice
+    };
+  });
+};
+
+// Admin: Create order (manually or from a WhatsApp inquiry)
+router.post('/', protect, requirePermission('order:write'), async (req, res) => {
+  try {
+    const { inquiryId, items, customer, shippingAddress, shippingFee, notes, couponCode } = req.body;
+
+    const currency = normalizeCurrency(req.body.currency);
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency. Allowed: ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
+
+    let inquiry;
+    let requestedItems = items;
+
+    if (inquiryId) {
+      if (!mongoose.isValidObjectId(inquiryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid inquiryId'
+        });
+      }
+
+      inquiry = await Inquiry.findById(inquiryId);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+
+      if (inquiry.order) {
+        return res.status(400).json({
+          success: false,
+          message: 'An order has already been created from this inquiry'
+        });
+      }
+
+      // Default to a single unit of the product the customer asked about
+      if (!requestedItems || requestedItems.length === 0) {
+        requestedItems = [{ productId: inquiry.product, quantity: 1 }];
+      }
+    }
+
+    await ExchangeRate.loadRates();
+    const orderItems = await buildOrderItems(requestedItems, currency);
+
+    // Coupons apply to the item subtotal, before shipping. Their amounts are
+    // in the base currency, so the subtotal is converted for the check.
+    let coupon;
+    let discount = 0;
+    if (couponCode) {
+      coupon = await Coupon.findOne({ code: String(couponCode).trim().toUpperCase() });
+      if (!coupon) throw badRequest('Coupon not found');
+
+      const subtotal = orderItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+      const baseSubtotal = convertAmount(subtotal, currency, BASE_CURRENCY);
+      if (baseSubtotal === null) throw badRequest(`No exchange rate set for ${currency}`);
+
+      const reason = await coupon.checkEligibility({
+        subtotal: baseSubtotal,
+        userId: inquiry?.userId,
+        phone: customer?.phone
+      });
+      if (reason) throw badRequest(reason);
+
+      discount = convertAmount(coupon.computeDiscount(baseSubtotal), BASE_CURRENCY, currency);
+    }
+
+    const order = new Order({
+      items: orderItems,
+      customer,
+      user: inquiry?.userId,
+      shippingAddress,
+      shippingFee: shippingFee || 0,
+      currency,
+      coupon: coupon?._id,
+      couponCode: coupon?.code,
+      discount,
+      notes,
+      source: inquiry ? 'whatsapp' : 'manual',
+      inquiry: inquiry?._id,
+      statusHistory: [{ status: 'pending', changedBy: req.user.id }],
+      createdBy: req.user.id
+    });
+
+    // Validate before claiming the inquiry or a coupon use, so bad input
+    // doesn't burn either
+    await order.validate();
+
+    // Claim the inquiry atomically, so two requests can't both turn it
+    // into an order
+    if (inquiry) {
+      const claimed = await Inquiry.findOneAndUpdate(
+        { _id: inquiry._id, order: null },
+        { $set: { order: order._id } }
+      );
+      if (!claimed) throw badRequest('An order has already been created from this inquiry');
+    }
+    const releaseInquiry = () => inquiry && Inquiry.updateOne(
+      { _id: inquiry._id, order: order._id },
+      { $set: { order: null } }
+    );
+
+    const couponError = coupon
+      && await coupon.redeem(order._id, { userId: inquiry?.userId, phone: customer?.phone });
+    if (couponError) {
+      await releaseInquiry();
+      throw badRequest(couponError);
+    }
+
+    let savedOrder;
+    try {
+      savedOrder = await order.save();
+    } catch (saveError) {
+      if (coupon) await Coupon.release(coupon._id, order._id);
+      await releaseInquiry();
+      throw saveError;
+    }
+
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Order',
+      entityId: savedOrder._id,
+      label: savedOrder.orderNumber,
+      after: savedOrder
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: savedOrder
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order data',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating order',
+      error: error.message
+    });
+  }
+});
+
+// Admin: List orders with filters
+router.get('/', protect, requirePermission('order:read'), async (req, res) => {
+  try {
+    const {
+      status,
+      source,
+      productId,
+      q,
+      startDate,
+      endDate,
+      sort = '-createdAt',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      const statuses = String(status).split(',');
+      if (!statuses.every((s) => ORDER_STATUSES.includes(s))) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+    if (source) filter.source = source;
+    if (productId) {
+      if (!mongoose.isValidObjectId(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid productId'
+        });
+      }
+      filter['items.product'] = productId;
+    }
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid startDate or endDate'
+        });
+      }
+      filter.createdAt = {};
+      if (start) filter.createdAt.$gte = start;
+      if (end) filter.createdAt.$lte = end;
+    }
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { orderNumber: pattern },
+        { 'customer.name': pattern },
+        { 'customer.phone': pattern },
+        { 'customer.email': pattern }
+      ];
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const sortOptions = {
+      '-createdAt': { createdAt: -1 },
+      'createdAt': { createdAt: 1 },
+      'total': { total: 1 },
+      '-total': { total: -1 },
+      'status': { status: 1, createdAt: -1 }
+    };
+
+    const orders = await Order.find(filter)
+      .sort(sortOptions[sort] || { createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v -statusHistory');
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Get single order
+router.get('/:id', protect, requirePermission('order:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order id'
+      });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name sku images isActive')
+      .populate('inquiry')
+      .populate('user', 'username email')
+      .populate('createdBy', 'username')
+      .populate('statusHistory.changedBy', 'username')
+      .select('-__v');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Update customer, shipping and notes
+router.put('/:id', protect, requirePermission('order:write'), async (req, res) => {
+  try {
+    const { customer, shippingAddress, shippingFee, notes } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order id'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (['delivered', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${order.status} order`
+      });
+    }
+
+    const before = toSnapshot(order);
+
+    if (customer) order.customer = { ...order.customer.toObject(), ...customer };
+    if (shippingAddress) {
+      order.shippingAddress = { ...order.shippingAddress.toObject(), ...shippingAddress };
+    }
+    if (shippingFee !== undefined) order.shippingFee = shippingFee;
+    if (notes !== undefined) order.notes = notes;
+
+    const updatedOrder = await order.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Order',
+      entityId: updatedOrder._id,
+      label: updatedOrder.orderNumber,
+      before,
+      after: updatedOrder
+    });
+
+    res.json({
+      success: true,
+      message: 'Order updated successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating order',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Move order through its status lifecycle.
+// Confirming reserves variant stock; cancelling returns it. A WhatsApp
+// inquiry is confirmed by creating an order from it and confirming that.
+router.patch('/:id/status', protect, requirePermission('order:write'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order id'
+      });
+    }
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`
+      });
+    }
+
+    const reserve = status === 'confirmed' && !order.stockReserved;
+    const release = status === 'cancelled' && order.stockReserved;
+    const historyEntry = { _id: new mongoose.Types.ObjectId(), status, note, changedBy: req.user.id };
+
+    // Claim the transition first: only the request that moves the order out
+    // of the status it was read in gets to take or return stock, so
+    // concurrent requests can't reserve or release twice
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: order.status,
+        stockReserved: order.stockReserved ? true : { $ne: true }
+      },
+      {
+        $set: { status, stockReserved: reserve || (order.stockReserved && !release) },
+        $push: { statusHistory: historyEntry }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order was changed by someone else, please retry'
+      });
+    }
+
+    // Put the order back if stock can't be moved, so the change can be retried
+    const undoClaim = () => Order.updateOne(
+      { _id: order._id, status },
+      {
+        $set: { status: order.status, stockReserved: order.stockReserved },
+        $pull: { statusHistory: { _id: historyEntry._id } }
+      }
+    );
+
+    try {
+      if (reserve) await reserveOrderStock(claimed, req.user.id);
+      if (release) await releaseOrderStock(claimed, req.user.id);
+    } catch (stockError) {
+      await undoClaim();
+      throw stockError;
+    }
+
+    // A cancelled order gives its coupon use back
+    if (status === 'cancelled' && claimed.coupon) {
+      await Coupon.release(claimed.coupon, claimed._id);
+    }
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Order',
+      entityId: claimed._id,
+      label: claimed.orderNumber,
+      before: { status: order.status, stockReserved: order.stockReserved },
+      after: { status: claimed.status, stockReserved: claimed.stockReserved, note }
+    });
+
+    res.json({
+      success: true,
+      message: `Order marked as ${status}`,
+      data: claimed
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating order status',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,253 @@
+// routes/productBulk.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Category, Product, PRODUCT_STATUSES } from '../models/model.js';
+import ProductRevision from '../models/productRevisionModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toSnapshot, diffSnapshots } from '../utils/diff.js';
+import { getExchangeRate, exchangeRateExpression } from '../utils/currency.js';
+
+const router = express.Router();
+
+// Most products one bulk request may change
+const MAX_BULK_ITEMS = 1000;
+
+const BULK_OPERATIONS = [
+  'set-active',
+  'set-featured',
+  'move-category',
+  'add-tags',
+  'remove-tags',
+  'adjust-price'
+];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const findCategory = (identifier) => Category.findOne(
+  mongoose.isValidObjectId(identifier) ? { _id: identifier } : { slug: String(identifier) }
+);
+
+// Target products either by { ids: [...] } or by { filter: {...} }. An empty
+// filter is refused; pass { filter: { all: true } } to target the catalog.
+const buildTargetFilter = async ({ ids, filter }) => {
+  if (Array.isArray(ids)) {
+    if (ids.length === 0 || !ids.every((id) => mongoose.isValidObjectId(id))) {
+      throw badRequest('ids must be a non-empty list of product ids');
+    }
+    return { _id: { $in: ids } };
+  }
+
+  if (!filter || typeof filter !== 'object') {
+    throw badRequest('Provide either ids or filter');
+  }
+
+  const { all, category, tag, status, isActive, isFeatured, inStock, minPrice, maxPrice } = filter;
+  const query = {};
+
+  if (category !== undefined) {
+    const found = await findCategory(category);
+    if (!found) throw badRequest('Filter category not found');
+    query.category = found._id;
+  }
+  if (tag !== undefined) query.tags = String(tag).toLowerCase();
+  if (status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(status)) {
+      throw badRequest(`Invalid status. Allowed: ${PRODUCT_STATUSES.join(', ')}`);
+    }
+    query.status = status === 'published' ? { $in: [status, null] } : status;
+  }
+  if (typeof isActive === 'boolean') query.isActive = isActive;
+  if (typeof isFeatured === 'boolean') query.isFeatured = isFeatured;
+  if (typeof inStock === 'boolean') query.inStock = inStock ? { $ne: false } : false;
+  // Price bounds are on the list price, in the base currency
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query['basePrice.original'] = {};
+    if (minPrice !== undefined) query['basePrice.original'].$gte = Number(minPrice);
+    if (maxPrice !== undefined) query['basePrice.original'].$lte = Number(maxPrice);
+  }
+
+  if (Object.keys(query).length === 0 && all !== true) {
+    throw badRequest('Filter is empty. Pass { all: true } to target every product.');
+  }
+  return query;
+};
+
+// Translate an operation into a single update (or update pipeline) that
+// applies to every targeted product at once
+const buildUpdate = async (operation, filter) => {
+  const { type } = operation || {};
+
+  switch (type) {
+    case 'set-active':
+    case 'set-featured': {
+      if (typeof operation.value !== 'boolean') throw badRequest('value must be true or false');
+      const field = type === 'set-active' ? 'isActive' : 'isFeatured';
+      return { $set: { [field]: operation.value } };
+    }
+
+    case 'move-category': {
+      const category = operation.category && await findCategory(operation.category);
+      if (!category) throw badRequest('Target category not found');
+      return { $set: { category: category._id } };
+    }
+
+    case 'add-tags':
+    case 'remove-tags': {
+      const tags = Array.isArray(operation.tags)
+        ? operation.tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean)
+        : [];
+      if (tags.length === 0) throw badRequest('tags must be a non-empty list');
+      return type === 'add-tags'
+        ? { $addToSet: { tags: { $each: tags } } }
+        : { $pull: { tags: { $in: tags } } };
+    }
+
+    case 'adjust-price': {
+      const { mode, amount } = operation;
+      const value = Number(amount);
+      if (!['percent', 'fixed'].includes(mode) || !Number.isFinite(value) || value === 0) {
+        throw badRequest('adjust-price needs mode (percent or fixed) and a non-zero amount');
+      }
+      if (mode === 'percent' && value <= -100) throw badRequest('A percentage cut must be less than 100');
+
+      // A fixed amount is in the base currency and is converted into each
+      // product's own currency, so every targeted currency needs a rate
+      await ExchangeRate.loadRates();
+      if (mode === 'fixed') {
+        const currencies = await Product.distinct('currency', filter);
+        const missing = currencies.filter((c) => c && !getExchangeRate(c));
+        if (missing.length > 0) throw badRequest(`No exchange rate set for ${missing.join(', ')}`);
+      }
+      const fixedAmount = { $divide: [value, exchangeRateExpression()] };
+
+      // Both prices move together, so a discount never ends up above the
+      // original; results are rounded to 2 decimals and never negative
+      const adjust = (path) => ({
+        $max: [0, {
+          $round: [mode === 'percent' ? { $multiply: [path, 1 + value / 100] } : { $add: [path, fixedAmount] }, 2]
+        }]
+      });
+      return [{
+        $set: {
+          'price.original': adjust('$price.original'),
+          'price.discounted': {
+            $cond: [{ $gt: ['$price.discounted', 0] }, adjust('$price.discounted'), '$price.discounted']
+          }
+        }
+      }, ...Product.basePriceStages()];
+    }
+
+    default:
+      throw badRequest(`Unknown operation. Allowed: ${BULK_OPERATIONS.join(', ')}`);
+  }
+};
+
+// Admin: Apply one operation to many products.
+// Body: { ids | filter, operation: { type, ... }, preview }
+// With preview: true only the matching count and a sample are returned.
+router.post('/bulk', protect, requirePermission('product:write'), async (req, res) => {
+  try {
+    const { preview } = req.body;
+    const filter = await buildTargetFilter(req.body);
+    const update = await buildUpdate(req.body.operation, filter);
+
+    const count = await Product.countDocuments(filter);
+
+    if (preview === true || preview === 'true') {
+      const sample = await Product.find(filter)
+        .select('name sku price isActive isFeatured tags category')
+        .sort({ name: 1 })
+        .limit(20);
+      return res.json({
+        success: true,
+        preview: true,
+        operation: req.body.operation.type,
+        count,
+        data: sample
+      });
+    }
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No products match'
+      });
+    }
+    if (count > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `${count} products match; narrow the filter to at most ${MAX_BULK_ITEMS}`
+      });
+    }
+
+    const beforeDocs = await Product.find(filter);
+    const ids = beforeDocs.map((p) => p._id);
+
+    // One write for the whole set; each product is updated atomically.
+    // Update validators don't understand pipelines, which clamp prices instead.
+    const result = await Product.updateMany({ _id: { $in: ids } }, update, {
+      runValidators: !Array.isArray(update)
+    });
+
+    const afterDocs = await Product.find({ _id: { $in: ids } });
+    const afterById = new Map(afterDocs.map((p) => [p._id.toString(), p]));
+
+    const items = [];
+    for (const before of beforeDocs) {
+      const after = afterById.get(before._id.toString());
+      if (!after) {
+        items.push({ id: before._id, sku: before.sku, name: before.name, status: 'missing' });
+        continue;
+      }
+
+      const changes = diffSnapshots(toSnapshot(before), toSnapshot(after));
+      if (changes.length === 0) {
+        items.push({ id: after._id, sku: after.sku, name: after.name, status: 'unchanged' });
+        continue;
+      }
+
+      after.$locals.revisionAuthor = req.user.id;
+      after.$locals.revisionSource = 'update';
+      await ProductRevision.recordFor(after).catch((error) => {
+        console.error('Product revision error:', error.message);
+      });
+      await AuditLog.record(req, {
+        action: 'update',
+        entity: 'Product',
+        entityId: after._id,
+        label: after.name,
+        before,
+        after
+      });
+
+      items.push({ id: after._id, sku: after.sku, name: after.name, status: 'updated', changes });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} of ${ids.length} products updated`,
+      operation: req.body.operation.type,
+      summary: {
+        matched: ids.length,
+        updated: items.filter((i) => i.status === 'updated').length,
+        unchanged: items.filter((i) => i.status === 'unchanged').length,
+        missing: items.filter((i) => i.status === 'missing').length
+      },
+      data: items
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error running bulk operation',
+      error: error.message
+    });
+  }
+});
+
+export default router;
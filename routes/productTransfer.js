@@ -0,0 +1,202 @@
+// routes/productTransfer.js
+import express from 'express';
+import multer from 'multer';
+import { once } from 'events';
+import { Category, Product, PRODUCT_STATUSES } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { recordVariantStockEdits } from '../utils/inventory.js';
+import { parseCsv, toCsvRow } from '../utils/csv.js';
+import {
+  MAX_IMPORT_ROWS,
+  PRODUCT_CSV_COLUMNS,
+  toTransferObject,
+  fromCsvRecord,
+  prepareImport
+} from '../utils/productTransfer.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+const isJsonFile = (file) =>
+  file.mimetype === 'application/json' || file.originalname.toLowerCase().endsWith('.json');
+
+// Admin: Import products from a CSV or JSON file (multipart field "file"),
+// or a JSON body { products: [...] }. Categories are referenced by slug.
+// ?dryRun=true validates and reports without saving; ?upsert=true updates
+// products whose SKU already exists instead of rejecting them. Nothing is
+// saved if any row fails validation. Rows are then saved one at a time, so
+// a row can still fail on write (e.g. its SKU was taken in the meantime);
+// the rest are kept and the response is 207 with per-row results.
+router.post('/import', protect, requirePermission('product:write'), upload.single('file'), async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const upsert = String(req.query.upsert ?? req.body.upsert) === 'true';
+
+    let entries;
+    try {
+      if (req.file && !isJsonFile(req.file)) {
+        entries = parseCsv(req.file.buffer.toString('utf8')).map(fromCsvRecord);
+      } else {
+        const items = req.file ? JSON.parse(req.file.buffer.toString('utf8')) : req.body.products;
+        if (!Array.isArray(items)) throw new Error('Expected an array of products');
+        entries = items.map((item) => (item && typeof item === 'object' && !Array.isArray(item)
+          ? { item, errors: [] }
+          : { item: {}, errors: [{ field: null, message: 'Each product must be an object' }] }));
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not read import data. Upload a CSV or JSON file, or send { products: [...] }.',
+        error: parseError.message
+      });
+    }
+
+    if (entries.length === 0 || entries.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import must contain between 1 and ${MAX_IMPORT_ROWS} products`
+      });
+    }
+
+    const rows = await prepareImport(entries, { upsert });
+    const invalid = rows.filter((row) => row.errors.length > 0);
+    const summary = {
+      total: rows.length,
+      create: rows.filter((row) => row.action === 'create').length,
+      update: rows.filter((row) => row.action === 'update').length,
+      invalid: invalid.length
+    };
+    const report = rows.map(({ row, sku, name, action, errors }) => ({ row, sku, name, action, errors }));
+
+    if (dryRun || invalid.length > 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: invalid.length === 0,
+        dryRun,
+        message: invalid.length > 0
+          ? `${invalid.length} of ${rows.length} rows have errors${dryRun ? '' : '; nothing was imported'}`
+          : 'All rows are valid',
+        summary,
+        data: report
+      });
+    }
+
+    const results = [];
+    for (const { row, action, product, before, previousStock } of rows) {
+      try {
+        product.$locals.revisionAuthor = req.user.id;
+        product.$locals.revisionSource = action;
+
+        const saved = await product.save();
+        await recordVariantStockEdits(saved, previousStock, req.user.id);
+        await AuditLog.record(req, {
+          action,
+          entity: 'Product',
+          entityId: saved._id,
+          label: saved.name,
+          before,
+          after: saved
+        });
+        results.push({ row, sku: saved.sku, id: saved._id, action, success: true });
+      } catch (error) {
+        results.push({ row, sku: product.sku, action, success: false, error: error.message });
+      }
+    }
+
+    const failed = results.filter((r) => !r.success).length;
+    res.status(failed === 0 ? 200 : failed === results.length ? 500 : 207).json({
+      success: failed === 0,
+      message: failed > 0
+        ? `Imported ${results.length - failed} of ${results.length} products`
+        : `Imported ${results.length} products`,
+      summary: { ...summary, failed },
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Stream the catalog as CSV (default) or JSON, in the same layout
+// the import accepts. Optional filters: status, category (slug).
+router.get('/export', protect, requirePermission('product:write'), async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+
+  try {
+    const { status, category } = req.query;
+
+    const filter = {};
+    if (status) {
+      if (!PRODUCT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${PRODUCT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status === 'published' ? { $in: [status, null] } : status;
+    }
+    if (category) {
+      const found = await Category.findOne({ slug: String(category) }).select('_id');
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      filter.category = found._id;
+    }
+
+    const cursor = Product.find(filter)
+      .populate({ path: 'category', select: 'slug', options: { withDeleted: true } })
+      .sort({ sku: 1 })
+      .cursor();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'json'
+      ? 'application/json; charset=utf-8'
+      : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${stamp}.${format}"`);
+
+    // Respect backpressure so large catalogs aren't buffered in memory
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    let first = true;
+    await write(format === 'json' ? '[' : toCsvRow(PRODUCT_CSV_COLUMNS.map((col) => col.header)));
+
+    for await (const product of cursor) {
+      const item = toTransferObject(product);
+      if (format === 'json') {
+        await write(`${first ? '' : ','}\n${JSON.stringify(item)}`);
+      } else {
+        await write(toCsvRow(PRODUCT_CSV_COLUMNS.map((col) => col.value(item))));
+      }
+      first = false;
+    }
+
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (error) {
+    // Headers are gone once streaming starts; all we can do is cut it off
+    if (res.headersSent) {
+      console.error('Export error:', error.message);
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting products',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,430 @@
+// routes/promotions.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Category } from '../models/model.js';
+import Collection from '../models/collectionModel.js';
+import Campaign from '../models/campaignModel.js';
+import Coupon from '../models/couponModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import ExchangeRate from '../models/exchangeRateModel.js';
+import { protect, optionalAuth, requirePermission, rateLimit } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { toSnapshot } from '../utils/diff.js';
+import { BASE_CURRENCY, normalizeCurrency, isSupportedCurrency, convertAmount, roundMoney } from '../utils/currency.js';
+import { refreshCampaignCache } from '../utils/promotions.js';
+
+const router = express.Router();
+
+const canManage = [protect, requirePermission('promotion:write')];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Editable fields; usedCount only moves through orders
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderValue',
+  'usageLimit', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive'
+];
+const CAMPAIGN_FIELDS = [
+  'name', 'description', 'discountType', 'value', 'categories', 'includeSubcategories',
+  'tags', 'collections', 'startsAt', 'endsAt', 'isActive'
+];
+
+const assignFields = (doc, body, fields) => {
+  for (const field of fields) {
+    if (body[field] !== undefined) doc[field] = body[field] === '' ? null : body[field];
+  }
+};
+
+// Every id in the list must point at an existing document
+const assertIdsExist = async (Model, ids, label) => {
+  if (ids === undefined) return;
+  if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw badRequest(`${label} must be a list of ids`);
+  }
+  const found = await Model.countDocuments({ _id: { $in: ids } });
+  if (found !== new Set(ids.map(String)).size) throw badRequest(`Some ${label} were not found`);
+};
+
+const sendWriteError = (res, error, fallback) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Coupon code already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid promotion data',
+      error: error.message
+    });
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    error: error.message
+  });
+};
+
+// =====================
+// PUBLIC ROUTES
+// =====================
+
+// Public: Sale campaigns running right now
+router.get('/campaigns/active', async (req, res) => {
+  try {
+    const campaigns = await Campaign.find(Campaign.publicFilter())
+      .populate('categories', 'name slug')
+      .populate('collections', 'name slug')
+      .sort({ endsAt: 1 })
+      .select('name description discountType value categories tags collections startsAt endsAt');
+
+    res.json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaigns',
+      error: error.message
+    });
+  }
+});
+
+// Public: Check a coupon code against an order subtotal before ordering.
+// Signed-in users (or a phone number) are checked against per-user limits.
+// The subtotal may be in any supported currency (default the base one).
+router.post('/coupons/validate', rateLimit(20, 60000), optionalAuth, async (req, res) => {
+  try {
+    const { code, phone } = req.body;
+    const subtotal = Number(req.body.subtotal);
+    const currency = normalizeCurrency(req.body.currency);
+
+    if (!code || !Number.isFinite(subtotal) || subtotal < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'code and subtotal are required'
+      });
+    }
+
+    await ExchangeRate.loadRates();
+    const baseSubtotal = isSupportedCurrency(currency)
+      ? convertAmount(subtotal, currency, BASE_CURRENCY)
+      : null;
+    if (baseSubtotal === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency or no exchange rate for ${currency}`
+      });
+    }
+
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const reason = await coupon.checkEligibility({ subtotal: baseSubtotal, userId: req.user?.id, phone });
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        message: reason
+      });
+    }
+
+    const discount = convertAmount(coupon.computeDiscount(baseSubtotal), BASE_CURRENCY, currency);
+    res.json({
+      success: true,
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        currency,
+        subtotal,
+        discount,
+        total: roundMoney(subtotal - discount, currency)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN: COUPONS
+// =====================
+
+// Admin: List coupons, newest first
+router.get('/coupons', canManage, async (req, res) => {
+  try {
+    const { q, isActive, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (q) filter.code = new RegExp(`^${escapeRegex(String(q).trim().toUpperCase())}`);
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: coupons
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Create coupon
+router.post('/coupons', canManage, async (req, res) => {
+  try {
+    const coupon = new Coupon({ createdBy: req.user.id });
+    assignFields(coupon, req.body, COUPON_FIELDS);
+
+    const savedCoupon = await coupon.save();
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Coupon',
+      entityId: savedCoupon._id,
+      label: savedCoupon.code,
+      after: savedCoupon
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: savedCoupon
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error creating coupon');
+  }
+});
+
+// Admin: Update coupon. Orders that already used it keep their discount.
+router.put('/coupons/:id', canManage, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const before = toSnapshot(coupon);
+    assignFields(coupon, req.body, COUPON_FIELDS);
+
+    const updatedCoupon = await coupon.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Coupon',
+      entityId: updatedCoupon._id,
+      label: updatedCoupon.code,
+      before,
+      after: updatedCoupon
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error updating coupon');
+  }
+});
+
+// Admin: Delete coupon
+router.delete('/coupons/:id', canManage, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    await coupon.deleteOne();
+    await AuditLog.record(req, {
+      action: 'delete',
+      entity: 'Coupon',
+      entityId: coupon._id,
+      label: coupon.code,
+      before: coupon
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// ADMIN: CAMPAIGNS
+// =====================
+
+// Admin: List campaigns, including past and upcoming ones
+router.get('/campaigns', canManage, async (req, res) => {
+  try {
+    const campaigns = await Campaign.find()
+      .populate('categories', 'name slug')
+      .populate('collections', 'name slug')
+      .sort({ startsAt: -1 })
+      .select('-__v');
+
+    const now = new Date();
+    res.json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns.map((c) => ({
+        ...c.toJSON(),
+        running: c.isActive && c.startsAt <= now && c.endsAt > now
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching campaigns',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Create campaign. Sale prices show up as soon as it starts.
+router.post('/campaigns', canManage, async (req, res) => {
+  try {
+    await assertIdsExist(Category, req.body.categories, 'categories');
+    await assertIdsExist(Collection, req.body.collections, 'collections');
+
+    const campaign = new Campaign({ createdBy: req.user.id });
+    assignFields(campaign, req.body, CAMPAIGN_FIELDS);
+
+    const savedCampaign = await campaign.save();
+    await refreshCampaignCache();
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Campaign',
+      entityId: savedCampaign._id,
+      label: savedCampaign.name,
+      after: savedCampaign
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: savedCampaign
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error creating campaign');
+  }
+});
+
+// Admin: Update campaign
+router.put('/campaigns/:id', canManage, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    await assertIdsExist(Category, req.body.categories, 'categories');
+    await assertIdsExist(Collection, req.body.collections, 'collections');
+
+    const before = toSnapshot(campaign);
+    assignFields(campaign, req.body, CAMPAIGN_FIELDS);
+
+    const updatedCampaign = await campaign.save();
+    await refreshCampaignCache();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Campaign',
+      entityId: updatedCampaign._id,
+      label: updatedCampaign.name,
+      before,
+      after: updatedCampaign
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: updatedCampaign
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Error updating campaign');
+  }
+});
+
+// Admin: Delete campaign; prices return to normal straight away
+router.delete('/campaigns/:id', canManage, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    await campaign.deleteOne();
+    await refreshCampaignCache();
+    await AuditLog.record(req, {
+      action: 'delete',
+      entity: 'Campaign',
+      entityId: campaign._id,
+      label: campaign.name,
+      before: campaign
+    });
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting campaign',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,402 @@
+// routes/reviews.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { Product } from '../models/model.js';
+import Review, { REVIEW_STATUSES } from '../models/reviewModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission, hasPermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { deleteMultipleFromCloudinary, reviewPhotoFolder, cloudinaryUrl } from '../utils/cloudinaryHelpers.js';
+
+const router = express.Router();
+
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  flag: 'flagged'
+};
+
+// Only accept photos the author uploaded through POST /api/upload/review,
+// or ones already on the review being edited. URLs are rebuilt from the
+// public_id rather than taken from the request. Returns null if any photo
+// isn't allowed.
+const resolvePhotos = (photos, userId, existing = []) => {
+  if (!Array.isArray(photos)) return null;
+  const ownFolder = `${reviewPhotoFolder(userId)}/`;
+  const resolved = [];
+  for (const photo of photos) {
+    const publicId = typeof photo?.public_id === 'string' ? photo.public_id : '';
+    const kept = existing.find((p) => p.public_id === publicId);
+    if (kept) {
+      resolved.push({ url: kept.url, public_id: kept.public_id });
+    } else if (publicId.startsWith(ownFolder)) {
+      resolved.push({ url: cloudinaryUrl(publicId), public_id: publicId });
+    } else {
+      return null;
+    }
+  }
+  return resolved;
+};
+
+// Photos an author's review may remove from storage. Photos attached before
+// per-user folders existed can't be traced to an uploader, so they're kept.
+const ownedPhotoIds = (review, publicIds) =>
+  publicIds.filter((pid) => pid.startsWith(`${reviewPhotoFolder(review.user)}/`));
+
+const invalidPhotosResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Review photos must be uploaded through /api/upload/review'
+});
+
+// Public: Approved reviews for a product, with rating breakdown
+router.get('/product/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sort = '-createdAt', page = 1, limit = 10 } = req.query;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product id'
+      });
+    }
+
+    const product = await Product.findOne({ ...Product.publicFilter(), _id: productId }).select('rating');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const sortOptions = {
+      '-createdAt': { createdAt: -1 },
+      'createdAt': { createdAt: 1 },
+      '-rating': { rating: -1, createdAt: -1 },
+      'rating': { rating: 1, createdAt: -1 }
+    };
+
+    const filter = { product: productId, status: 'approved' };
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'username')
+      .sort(sortOptions[sort] || { createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('rating title text photos user createdAt');
+
+    const total = await Review.countDocuments(filter);
+
+    const breakdown = await Review.aggregate([
+      { $match: { product: product._id, status: 'approved' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdown.forEach((b) => { distribution[b._id] = b.count; });
+
+    res.json({
+      success: true,
+      rating: { ...product.rating.toObject(), distribution },
+      count: reviews.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      error: error.message
+    });
+  }
+});
+
+// User: Write a review (one per product)
+router.post('/product/:productId', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { rating, title, text } = req.body;
+
+    const photos = req.body.photos === undefined ? [] : resolvePhotos(req.body.photos, req.user.id);
+    if (!photos) return invalidPhotosResponse(res);
+
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findOne({ ...Product.publicFilter(), _id: productId }).select('_id')
+      : null;
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const review = new Review({
+      product: product._id,
+      user: req.user.id,
+      rating: Number(rating),
+      title,
+      text,
+      photos
+    });
+
+    const savedReview = await review.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting moderation',
+      data: savedReview
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review data',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review',
+      error: error.message
+    });
+  }
+});
+
+// User: List own reviews
+router.get('/me', protect, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user.id })
+      .populate('product', 'name images')
+      .sort({ createdAt: -1 })
+      .select('-__v -moderatedBy');
+
+    res.json({ success: true, count: reviews.length, data: reviews });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your reviews',
+      error: error.message
+    });
+  }
+});
+
+// User: Edit own review (goes back to the moderation queue)
+router.put('/:id', protect, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { rating, title, text } = req.body;
+
+    const review = await Review.findOne({ _id: req.params.id, user: req.user.id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const photos = req.body.photos === undefined
+      ? undefined
+      : resolvePhotos(req.body.photos, req.user.id, review.photos);
+    if (photos === null) return invalidPhotosResponse(res);
+
+    const wasApproved = review.status === 'approved';
+    const removedPhotoIds = photos
+      ? ownedPhotoIds(review, review.photos.map((p) => p.public_id))
+        .filter((pid) => !photos.some((p) => p.public_id === pid))
+      : [];
+
+    if (rating !== undefined) review.rating = Number(rating);
+    if (title !== undefined) review.title = title;
+    if (text !== undefined) review.text = text;
+    if (photos) review.photos = photos;
+    review.status = 'pending';
+
+    const updatedReview = await review.save();
+
+    if (removedPhotoIds.length > 0) {
+      await deleteMultipleFromCloudinary(removedPhotoIds);
+    }
+    if (wasApproved) {
+      await Review.recalculateProductRating(review.product);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review updated and awaiting moderation',
+      data: updatedReview
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating review',
+      error: error.message
+    });
+  }
+});
+
+// User (own) or moderator (any): Delete a review
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const filter = { _id: req.params.id };
+    const asModerator = await hasPermission(req.user, 'review:moderate');
+    if (!asModerator) filter.user = req.user.id;
+
+    const review = await Review.findOneAndDelete(filter);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Customers removing their own review aren't staff writes
+    if (asModerator && review.user.toString() !== req.user.id) {
+      await AuditLog.record(req, {
+        action: 'delete',
+        entity: 'Review',
+        entityId: review._id,
+        label: review.title,
+        before: review
+      });
+    }
+
+    const publicIds = ownedPhotoIds(review, review.photos.map((p) => p.public_id));
+    if (publicIds.length > 0) {
+      await deleteMultipleFromCloudinary(publicIds);
+    }
+    if (review.status === 'approved') {
+      await Review.recalculateProductRating(review.product);
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting review',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Moderation queue
+router.get('/admin/queue', protect, requirePermission('review:moderate'), async (req, res) => {
+  try {
+    const { status = 'pending', productId, page = 1, limit = 20 } = req.query;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { status };
+    if (productId) filter.product = productId;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    // Oldest first so nothing waits forever
+    const reviews = await Review.find(filter)
+      .populate('product', 'name sku')
+      .populate('user', 'username email')
+      .populate('moderatedBy', 'username')
+      .sort({ createdAt: 1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching moderation queue',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Approve, reject or flag a review
+router.patch('/admin/:id/moderate', protect, requirePermission('review:moderate'), async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const status = MODERATION_ACTIONS[action];
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Allowed: ${Object.keys(MODERATION_ACTIONS).join(', ')}`
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const affectsRating = review.status === 'approved' || status === 'approved';
+    const before = { status: review.status, moderationNote: review.moderationNote };
+
+    review.status = status;
+    review.moderationNote = note;
+    review.moderatedBy = req.user.id;
+    review.moderatedAt = new Date();
+
+    const updatedReview = await review.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Review',
+      entityId: updatedReview._id,
+      label: updatedReview.title,
+      before,
+      after: { status: updatedReview.status, moderationNote: updatedReview.moderationNote }
+    });
+
+    let rating;
+    if (affectsRating) {
+      rating = await Review.recalculateProductRating(review.product);
+    }
+
+    res.json({
+      success: true,
+      message: `Review ${status}`,
+      data: updatedReview,
+      rating
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating review',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+// routes/revisions.js
+import express from 'express';
+import { Category, Product } from '../models/model.js';
+import ProductRevision from '../models/productRevisionModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import Order from '../models/orderModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toSnapshot, diffSnapshots } from '../utils/diff.js';
+import { cloudinaryImageExists } from '../utils/cloudinaryHelpers.js';
+import { recordVariantStockEdits } from '../utils/inventory.js';
+
+const router = express.Router();
+
+// Mounted under /api/product next to the public product routes, so guard
+// each route rather than the whole router
+const canEdit = [protect, requirePermission('product:write')];
+
+// The SKU identifies the product elsewhere (orders, inquiries), so a
+// rollback never changes it; publishing status and dates are left as they
+// are so an old revision can't go live by accident
+const ROLLBACK_FIELDS = [
+  'name', 'description', 'price', 'specifications', 'tags',
+  'whatsappNumber', 'whatsappMessage', 'isActive', 'isFeatured', 'sortOrder'
+];
+
+const findRevision = (productId, revision) => {
+  const number = parseInt(revision);
+  if (!Number.isInteger(number)) return null;
+  return ProductRevision.findOne({ product: productId, revision: number });
+};
+
+// Admin: List a product's revisions, newest first
+router.get('/:id/revisions', canEdit, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { product: req.params.id };
+    const revisions = await ProductRevision.find(filter)
+      .populate('author', 'username')
+      .sort({ revision: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-snapshot -__v');
+
+    const total = await ProductRevision.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Field-level diff between two revisions (?from=3&to=5). `to`
+// defaults to the latest revision.
+router.get('/:id/revisions/diff', canEdit, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const fromRevision = await findRevision(req.params.id, from);
+    const toRevision = to
+      ? await findRevision(req.params.id, to)
+      : await ProductRevision.findOne({ product: req.params.id }).sort({ revision: -1 });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revision,
+        to: toRevision.revision,
+        changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing revisions',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Get one revision with its full snapshot
+router.get('/:id/revisions/:revision', canEdit, async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    await revision.populate('author', 'username');
+
+    res.json({ success: true, data: revision });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revision',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Roll a product back to an earlier revision. Images that were
+// deleted from Cloudinary since are left out; current stock levels are
+// kept, and variants that no longer exist come back with zero stock.
+// Current variants missing from the revision are kept while they hold
+// stock or open orders have stock reserved on them.
+router.post('/:id/revisions/:revision/rollback', canEdit, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const revision = await findRevision(product._id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const { snapshot } = revision;
+    const before = toSnapshot(product);
+    const skipped = [];
+
+    for (const field of ROLLBACK_FIELDS) {
+      if (snapshot[field] !== undefined) product.set(field, snapshot[field]);
+    }
+
+    if (await Category.exists({ _id: snapshot.category })) {
+      product.category = snapshot.category;
+    } else {
+      skipped.push('category');
+    }
+
+    const currentStock = new Map(product.variants.map((v) => [v._id.toString(), v.stock]));
+    const snapshotVariantIds = new Set((snapshot.variants || []).map((v) => String(v._id)));
+    const reservedVariantIds = new Set((await Order.distinct('items.variant', {
+      'items.product': product._id,
+      stockReserved: true,
+      status: { $nin: ['delivered', 'cancelled'] }
+    })).map(String));
+
+    const keptVariants = product.variants.filter((v) => !snapshotVariantIds.has(v._id.toString())
+      && (v.stock > 0 || reservedVariantIds.has(v._id.toString())));
+
+    product.variants = [
+      ...(snapshot.variants || []).map((variant) => ({
+        ...variant,
+        stock: currentStock.get(variant._id) ?? 0
+      })),
+      ...keptVariants.map((v) => v.toObject())
+    ];
+
+    const images = snapshot.images || [];
+    const exists = await Promise.all(images.map((img) => cloudinaryImageExists(img.public_id)));
+    const keptImages = images.filter((img, i) => exists[i]);
+    const missingImages = images.filter((img, i) => !exists[i]).map((img) => img.public_id);
+
+    if (keptImages.length > 0) {
+      product.images = keptImages;
+    } else {
+      skipped.push('images');
+    }
+
+    product.$locals.revisionAuthor = req.user.id;
+    product.$locals.revisionSource = 'rollback';
+    product.$locals.rolledBackTo = revision.revision;
+
+    const updatedProduct = await product.save();
+    await recordVariantStockEdits(updatedProduct, currentStock, req.user.id);
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Product',
+      entityId: updatedProduct._id,
+      label: updatedProduct.name,
+      before,
+      after: updatedProduct
+    });
+    await updatedProduct.populate('category', 'name slug');
+
+    res.json({
+      success: true,
+      message: `Product rolled back to revision ${revision.revision}`,
+      data: updatedProduct,
+      missingImages,
+      skipped,
+      keptVariants: keptVariants.map((v) => ({ id: v._id, label: `${v.name}: ${v.value}`, stock: v.stock }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back product',
+      error: error.message
+    });
+  }
+});
+
+export default router;
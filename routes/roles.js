@@ -0,0 +1,208 @@
+// routes/roles.js
+import express from 'express';
+import User from '../models/userModel.js';
+import Role, { PERMISSIONS, LEGACY_ROLE_ALIASES } from '../models/roleModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import { toSnapshot } from '../utils/diff.js';
+import { protect, requirePermission, missingPermissions } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// 403 response when a role would get permissions the acting user lacks,
+// or null when they may grant all of them
+const beyondOwnPermissions = async (req, res, permissions) => {
+  const missing = await missingPermissions(req.user, permissions);
+  if (missing.length === 0) return null;
+  return res.status(403).json({
+    success: false,
+    message: `You cannot grant permissions you do not hold: ${missing.join(', ')}`
+  });
+};
+
+// Admin: List every permission a role can be granted
+router.get('/permissions', requirePermission('role:manage'), (req, res) => {
+  res.json({ success: true, data: PERMISSIONS });
+});
+
+// Admin: List roles with the number of users holding each
+router.get('/', requirePermission('user:read'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $match: { role: { $ne: 'user' } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map();
+    for (const { _id, count } of counts) {
+      const name = LEGACY_ROLE_ALIASES[_id] || _id;
+      countByRole.set(name, (countByRole.get(name) || 0) + count);
+    }
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles.map((role) => ({ ...role, userCount: countByRole.get(role.name) || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roles',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Create a role
+router.post('/', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    // '*' is reserved for the owner role
+    if (!Array.isArray(permissions) || permissions.includes('*')) {
+      return res.status(400).json({
+        success: false,
+        message: `permissions must be a list of: ${PERMISSIONS.join(', ')}`
+      });
+    }
+
+    if (await beyondOwnPermissions(req, res, permissions)) return;
+
+    const role = await Role.create({ name, description, permissions });
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Role',
+      entityId: role._id,
+      label: role.name,
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Error creating role',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Update a role's description or permissions
+router.put('/:name', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be edited'
+      });
+    }
+
+    const before = toSnapshot(role);
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions) || permissions.includes('*')) {
+        return res.status(400).json({
+          success: false,
+          message: `permissions must be a list of: ${PERMISSIONS.join(', ')}`
+        });
+      }
+      if (await beyondOwnPermissions(req, res, permissions)) return;
+      role.permissions = permissions;
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Role',
+      entityId: role._id,
+      label: role.name,
+      before,
+      after: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Delete an unused role
+router.delete('/:name', requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete role. ${userCount} user(s) still have it.`
+      });
+    }
+
+    await role.deleteOne();
+    Role.clearPermissionCache();
+    await AuditLog.record(req, {
+      action: 'delete',
+      entity: 'Role',
+      entityId: role._id,
+      label: role.name,
+      before: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting role',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,8 +1,18 @@
 // routes/routes.js
 import express from 'express';
-import { Category, Product } from '../models/model.js';
-import { protect, adminOnly, rateLimit } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { Category, Product, PRODUCT_STATUSES } from '../models/model.js';
+import { protect, optionalAuth, requirePermission, hasPermission, rateLimit } from '../middleware/auth.js';
+import RecentlyViewed from '../models/recentlyViewedModel.js';
+import AuditLog from '../models/auditLogModel.js';
 import { deleteFromCloudinary, deleteMultipleFromCloudinary } from '../utils/cloudinaryHelpers.js';
+import { recordVariantStockEdits } from '../utils/inventory.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { PRICE_BUCKET_BOUNDARIES, correctQuery, suggestTerms } from '../utils/search.js';
+import { toSnapshot } from '../utils/diff.js';
+import { effectivePriceOf } from '../utils/salePricing.js';
+import { BASE_CURRENCY, convertAmount, normalizeCurrency } from '../utils/currency.js';
+import ExchangeRate from '../models/exchangeRateModel.js';
 
 
 const router = express.Router();
@@ -27,7 +37,36 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// Public: Get single category
+// Public: Nested category tree. Children of an inactive category are
+// hidden along with it.
+router.get('/categories/tree', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('name slug description image parent sortOrder')
+      .lean();
+
+    const nodes = new Map(categories.map((c) => [c._id.toString(), { ...c, children: [] }]));
+    const tree = [];
+    for (const node of nodes.values()) {
+      if (!node.parent) {
+        tree.push(node);
+      } else {
+        nodes.get(node.parent.toString())?.children.push(node);
+      }
+    }
+
+    res.json({ success: true, count: categories.length, data: tree });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category tree',
+      error: error.message
+    });
+  }
+});
+
+// Public: Get single category with breadcrumbs and direct subcategories
 router.get('/category/:identifier', async (req, res) => {
   try {
     const { identifier } = req.params;
@@ -42,7 +81,14 @@ router.get('/category/:identifier', async (req, res) => {
       });
     }
 
-    res.json({ success: true, data: category });
+    const [breadcrumbs, children] = await Promise.all([
+      category.getBreadcrumbs(),
+      Category.find({ parent: category._id, isActive: true })
+        .sort({ sortOrder: 1, name: 1 })
+        .select('name slug image sortOrder')
+    ]);
+
+    res.json({ success: true, data: { ...category.toJSON(), breadcrumbs, children } });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -53,9 +99,9 @@ router.get('/category/:identifier', async (req, res) => {
 });
 
 // Admin: Create category
-router.post('/category', protect, adminOnly, async (req, res) => {
+router.post('/category', protect, requirePermission('category:write'), async (req, res) => {
   try {
-    const { name, description, sortOrder, imageUrl, public_id } = req.body;
+    const { name, description, sortOrder, imageUrl, public_id, parent, skuPrefix, skuFormat, whatsappTemplate } = req.body;
 
     if (!imageUrl || !public_id) {
       return res.status(400).json({
@@ -68,10 +114,22 @@ router.post('/category', protect, adminOnly, async (req, res) => {
       name,
       description,
       image: { url: imageUrl, public_id },
-      sortOrder: sortOrder || 0
+      sortOrder: sortOrder || 0,
+      parent: parent || null,
+      skuPrefix: skuPrefix || undefined,
+      skuFormat: skuFormat || undefined,
+      whatsappTemplate: whatsappTemplate || null
     });
 
     const savedCategory = await category.save();
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Category',
+      entityId: savedCategory._id,
+      label: savedCategory.name,
+      after: savedCategory
+    });
+
     res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -81,23 +139,42 @@ router.post('/category', protect, adminOnly, async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Category name already exists'
+        message: await Category.describeDuplicate(error, 'Category name already exists')
       });
     }
 
-    res.status(500).json({
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category data',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error creating category',
+      message: error.statusCode ? error.message : 'Error creating category',
       error: error.message
     });
   }
 });
 
 // Admin: Update category
-router.put('/category/:id', protect, adminOnly, async (req, res) => {
+router.put('/category/:id', protect, requirePermission('category:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, sortOrder, isActive, imageUrl, public_id } = req.body;
+    const {
+      name,
+      description,
+      sortOrder,
+      isActive,
+      imageUrl,
+      public_id,
+      parent,
+      skuPrefix,
+      skuFormat,
+      whatsappTemplate
+    } = req.body;
 
     const category = await Category.findById(id);
     if (!category) {
@@ -107,10 +184,19 @@ router.put('/category/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
+    const before = toSnapshot(category);
+
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (sortOrder !== undefined) category.sortOrder = sortOrder;
     if (isActive !== undefined) category.isActive = isActive;
+    // Moving a category moves its whole subtree; null makes it a root
+    if (parent !== undefined) category.parent = parent || null;
+    // Only affects SKUs generated from now on
+    if (skuPrefix !== undefined) category.skuPrefix = skuPrefix || undefined;
+    if (skuFormat !== undefined) category.skuFormat = skuFormat || undefined;
+    // Empty falls back to the parent's template, then the default
+    if (whatsappTemplate !== undefined) category.whatsappTemplate = whatsappTemplate || null;
 
     if (imageUrl && public_id) {
       await deleteFromCloudinary(category.image.public_id);
@@ -118,6 +204,15 @@ router.put('/category/:id', protect, adminOnly, async (req, res) => {
     }
 
     const updatedCategory = await category.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Category',
+      entityId: updatedCategory._id,
+      label: updatedCategory.name,
+      before,
+      after: updatedCategory
+    });
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -128,16 +223,31 @@ router.put('/category/:id', protect, adminOnly, async (req, res) => {
       await deleteFromCloudinary(req.body.public_id);
     }
 
-    res.status(500).json({
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: await Category.describeDuplicate(error, 'Category name already exists')
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category data',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error updating category',
+      message: error.statusCode ? error.message : 'Error updating category',
       error: error.message
     });
   }
 });
 
-// Admin: Delete category
-router.delete('/category/:id', protect, adminOnly, async (req, res) => {
+// Admin: Move category to trash (purged after the retention period)
+router.delete('/category/:id', protect, requirePermission('category:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const category = await Category.findById(id);
@@ -156,12 +266,29 @@ router.delete('/category/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
-    await deleteFromCloudinary(category.image.public_id);
-    await Category.findByIdAndDelete(id);
+    const childCount = await Category.countDocuments({ parent: id });
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete category. It has ${childCount} subcategories; move or delete them first.`
+      });
+    }
+
+    const before = toSnapshot(category);
+    await category.moveToTrash(req.user.id);
+    await AuditLog.record(req, {
+      action: 'trash',
+      entity: 'Category',
+      entityId: category._id,
+      label: category.name,
+      before,
+      after: category
+    });
 
     res.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category moved to trash',
+      data: { id: category._id, purgeAt: category.purgeAt }
     });
   } catch (error) {
     res.status(500).json({
@@ -176,8 +303,21 @@ router.delete('/category/:id', protect, adminOnly, async (req, res) => {
 // PRODUCT ROUTES
 // =====================
 
-// Public: Get all products with filters
-router.get('/products', async (req, res) => {
+// Filter on the price customers pay (sales included) in the base currency,
+// so products priced in different currencies compare fairly. Bounds are
+// read in ?currency when given; the localizer has already checked it has
+// a rate.
+const priceRangeFilter = (minPrice, maxPrice, requestedCurrency) => {
+  const currency = requestedCurrency ? normalizeCurrency(requestedCurrency) : BASE_CURRENCY;
+  const range = {};
+  if (minPrice) range.$gte = convertAmount(Number(minPrice), currency, BASE_CURRENCY);
+  if (maxPrice) range.$lte = convertAmount(Number(maxPrice), currency, BASE_CURRENCY);
+  return { 'basePrice.effective': range };
+};
+
+// Public: Get all products with filters. Staff with product:write may pass
+// preview=true to see unpublished products, optionally narrowed by status.
+router.get('/products', optionalAuth, async (req, res) => {
   try {
     const {
       category,
@@ -185,21 +325,40 @@ router.get('/products', async (req, res) => {
       minPrice,
       maxPrice,
       tag,
+      includeOutOfStock,
+      preview,
+      status,
       sort = '-createdAt',
       page = 1,
       limit = 12
     } = req.query;
 
-    const filter = { isActive: true };
+    const localize = await ExchangeRate.localizer(req.query.currency);
+    const isPreview = preview === 'true' && req.user && await hasPermission(req.user, 'product:write');
+
+    let filter;
+    if (isPreview) {
+      filter = {};
+      if (status) {
+        if (!PRODUCT_STATUSES.includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid status. Allowed: ${PRODUCT_STATUSES.join(', ')}`
+          });
+        }
+        filter.status = status === 'published' ? { $in: [status, null] } : status;
+      }
+    } else {
+      filter = Product.publicFilter();
+    }
 
     if (category) filter.category = category;
     if (featured === 'true') filter.isFeatured = true;
     if (tag) filter.tags = tag;
+    if (includeOutOfStock !== 'true') filter.inStock = { $ne: false };
 
     if (minPrice || maxPrice) {
-      filter['price.original'] = {};
-      if (minPrice) filter['price.original'].$gte = Number(minPrice);
-      if (maxPrice) filter['price.original'].$lte = Number(maxPrice);
+      Object.assign(filter, priceRangeFilter(minPrice, maxPrice, req.query.currency));
     }
 
     const pageNum = Math.max(1, parseInt(page));
@@ -209,8 +368,8 @@ router.get('/products', async (req, res) => {
     const sortOptions = {
       '-createdAt': { createdAt: -1 },
       'createdAt': { createdAt: 1 },
-      'price': { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
+      'price': { 'basePrice.effective': 1 },
+      '-price': { 'basePrice.effective': -1 },
       'name': { name: 1 },
       '-name': { name: -1 },
       'featured': { isFeatured: -1, createdAt: -1 }
@@ -222,6 +381,7 @@ router.get('/products', async (req, res) => {
       .limit(limitNum)
       .skip(skip)
       .select('-__v');
+    await Product.loadWhatsAppTemplates(products);
 
     const total = await Product.countDocuments(filter);
 
@@ -231,12 +391,12 @@ router.get('/products', async (req, res) => {
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      data: products
+      data: products.map(localize)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching products',
+      message: error.statusCode ? error.message : 'Error fetching products',
       error: error.message
     });
   }
@@ -246,21 +406,23 @@ router.get('/products', async (req, res) => {
 router.get('/products/featured', async (req, res) => {
   try {
     const { limit = 8 } = req.query;
-    const products = await Product.find({ isActive: true, isFeatured: true })
+    const localize = await ExchangeRate.localizer(req.query.currency);
+    const products = await Product.find({ ...Product.publicFilter(), isFeatured: true, inStock: { $ne: false } })
       .populate('category', 'name slug')
       .sort({ sortOrder: 1, createdAt: -1 })
       .limit(parseInt(limit))
       .select('-__v');
+    await Product.loadWhatsAppTemplates(products);
 
     res.json({
       success: true,
       count: products.length,
-      data: products
+      data: products.map(localize)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching featured products',
+      message: error.statusCode ? error.message : 'Error fetching featured products',
       error: error.message
     });
   }
@@ -270,7 +432,8 @@ router.get('/products/featured', async (req, res) => {
 router.get('/products/category/:categoryId', async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { sort = '-createdAt', page = 1, limit = 12 } = req.query;
+    const { sort = '-createdAt', page = 1, limit = 12, includeOutOfStock, includeDescendants } = req.query;
+    const localize = await ExchangeRate.localizer(req.query.currency);
 
     const category = await Category.findOne({
       $or: [{ _id: categoryId }, { slug: categoryId }],
@@ -291,48 +454,63 @@ router.get('/products/category/:categoryId', async (req, res) => {
     const sortOptions = {
       '-createdAt': { createdAt: -1 },
       'createdAt': { createdAt: 1 },
-      'price': { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
+      'price': { 'basePrice.effective': 1 },
+      '-price': { 'basePrice.effective': -1 },
       'name': { name: 1 },
       'featured': { isFeatured: -1, createdAt: -1 }
     };
 
-    const products = await Product.find({ category: category._id, isActive: true })
+    // With includeDescendants=true, products from active subcategories at
+    // any depth are listed too, unless a subcategory between them is inactive
+    const categoryIds = [category._id];
+    if (includeDescendants === 'true') {
+      categoryIds.push(...await Category.activeDescendantIds(category._id));
+    }
+
+    const filter = { ...Product.publicFilter(), category: { $in: categoryIds } };
+    if (includeOutOfStock !== 'true') filter.inStock = { $ne: false };
+
+    const products = await Product.find(filter)
       .populate('category', 'name slug')
       .sort(sortOptions[sort] || { createdAt: -1 })
       .limit(limitNum)
       .skip(skip)
       .select('-__v');
+    await Product.loadWhatsAppTemplates(products);
 
-    const total = await Product.countDocuments({ category: category._id, isActive: true });
+    const total = await Product.countDocuments(filter);
+    const breadcrumbs = await category.getBreadcrumbs();
 
     res.json({
       success: true,
       category: {
         id: category._id,
         name: category.name,
-        slug: category.slug
+        slug: category.slug,
+        breadcrumbs
       },
       count: products.length,
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum),
-      data: products
+      data: products.map(localize)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching products by category',
+      message: error.statusCode ? error.message : 'Error fetching products by category',
       error: error.message
     });
   }
 });
 
-// Public: Get single product (with rate limiting)
-router.get('/product/:id', rateLimit(50, 60000), async (req, res) => {
+// Public: Get single product (with rate limiting). Staff with product:write
+// also get drafts and scheduled products, flagged as a preview.
+router.get('/product/:id', rateLimit(50, 60000), optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const product = await Product.findOne({ _id: id, isActive: true })
+    const localize = await ExchangeRate.localizer(req.query.currency);
+    const product = await Product.findById(id)
       .populate('category', 'name slug description')
       .select('-__v');
 
@@ -342,33 +520,56 @@ router.get('/product/:id', rateLimit(50, 60000), async (req, res) => {
         message: 'Product not found'
       });
     }
+    await Product.loadWhatsAppTemplates([product]);
+
+    if (!product.isPublicAt()) {
+      if (req.user && await hasPermission(req.user, 'product:write')) {
+        return res.json({ success: true, preview: true, data: localize(product) });
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
 
     await Product.findByIdAndUpdate(id, { $inc: { views: 1 } });
 
-    res.json({ success: true, data: product });
+    // History is best-effort; a failure here shouldn't break the page
+    if (req.user) {
+      RecentlyViewed.record(req.user.id, product._id).catch((err) => {
+        console.error('Recently viewed error:', err.message);
+      });
+    }
+
+    res.json({ success: true, data: localize(product) });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error fetching product',
+      message: error.statusCode ? error.message : 'Error fetching product',
       error: error.message
     });
   }
 });
 
 // Admin: Create product
-router.post('/product', protect, adminOnly, async (req, res) => {
+router.post('/product', protect, requirePermission('product:write'), async (req, res) => {
   try {
     const {
       name,
       description,
       category,
       price,
+      currency,
       variants,
       specifications,
       tags,
       whatsappNumber,
+      whatsappMessage,
       isFeatured,
       sortOrder,
+      status,
+      publishAt,
+      unpublishAt,
       images
     } = req.body;
 
@@ -397,16 +598,31 @@ router.post('/product', protect, adminOnly, async (req, res) => {
       description,
       category,
       price: parsedPrice,
+      currency: currency || undefined,
       images,
       variants: parsedVariants || [],
       specifications: parsedSpecs || {},
       tags: parsedTags || [],
       whatsappNumber,
+      whatsappMessage: whatsappMessage || undefined,
       isFeatured: isFeatured === true || isFeatured === 'true',
-      sortOrder: sortOrder || 0
+      sortOrder: sortOrder || 0,
+      status,
+      publishAt: publishAt || null,
+      unpublishAt: unpublishAt || null
     });
+    product.$locals.revisionAuthor = req.user.id;
+    product.$locals.revisionSource = 'create';
 
     const savedProduct = await product.save();
+    await recordVariantStockEdits(savedProduct, new Map(), req.user.id);
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Product',
+      entityId: savedProduct._id,
+      label: savedProduct.name,
+      after: savedProduct
+    });
     await savedProduct.populate('category', 'name slug');
 
     res.status(201).json({
@@ -419,6 +635,19 @@ router.post('/product', protect, adminOnly, async (req, res) => {
       const publicIds = req.body.images.map((img) => img.public_id);
       await deleteMultipleFromCloudinary(publicIds);
     }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: await Product.describeDuplicate(error, 'SKU is already used by another product')
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product data',
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error creating product',
@@ -428,7 +657,7 @@ router.post('/product', protect, adminOnly, async (req, res) => {
 });
 
 // Admin: Update product
-router.put('/product/:id', protect, adminOnly, async (req, res) => {
+router.put('/product/:id', protect, requirePermission('product:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -436,13 +665,18 @@ router.put('/product/:id', protect, adminOnly, async (req, res) => {
       description,
       category,
       price,
+      currency,
       variants,
       specifications,
       tags,
       whatsappNumber,
+      whatsappMessage,
       isFeatured,
       isActive,
       sortOrder,
+      status,
+      publishAt,
+      unpublishAt,
       removeImages,
       newImages
     } = req.body;
@@ -469,17 +703,26 @@ router.put('/product/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
+    const before = toSnapshot(product);
+    const previousStock = new Map(product.variants.map((v) => [v._id.toString(), v.stock]));
+
     if (name) product.name = name;
     if (description !== undefined) product.description = description;
     if (category) product.category = category;
     if (parsedPrice) product.price = parsedPrice;
+    if (currency) product.currency = currency;
     if (parsedVariants) product.variants = parsedVariants;
     if (parsedSpecs) product.specifications = parsedSpecs;
     if (parsedTags) product.tags = parsedTags;
     if (whatsappNumber) product.whatsappNumber = whatsappNumber;
+    // Empty uses the category template instead
+    if (whatsappMessage !== undefined) product.whatsappMessage = whatsappMessage || undefined;
     if (isFeatured !== undefined) product.isFeatured = isFeatured === true || isFeatured === 'true';
     if (isActive !== undefined) product.isActive = isActive === true || isActive === 'true';
     if (sortOrder !== undefined) product.sortOrder = sortOrder;
+    if (status !== undefined) product.status = status;
+    if (publishAt !== undefined) product.publishAt = publishAt || null;
+    if (unpublishAt !== undefined) product.unpublishAt = unpublishAt || null;
 
     if (parsedRemoveImages && parsedRemoveImages.length > 0) {
       await deleteMultipleFromCloudinary(parsedRemoveImages);
@@ -499,7 +742,19 @@ router.put('/product/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
+    product.$locals.revisionAuthor = req.user.id;
+    product.$locals.revisionSource = 'update';
+
     const updatedProduct = await product.save();
+    await recordVariantStockEdits(updatedProduct, previousStock, req.user.id);
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Product',
+      entityId: updatedProduct._id,
+      label: updatedProduct.name,
+      before,
+      after: updatedProduct
+    });
     await updatedProduct.populate('category', 'name slug');
 
     res.json({
@@ -513,6 +768,21 @@ router.put('/product/:id', protect, adminOnly, async (req, res) => {
       await deleteMultipleFromCloudinary(publicIds);
     }
 
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: await Product.describeDuplicate(error, 'SKU is already used by another product')
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product data',
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating product',
@@ -521,8 +791,8 @@ router.put('/product/:id', protect, adminOnly, async (req, res) => {
   }
 });
 
-// Admin: Delete product
-router.delete('/product/:id', protect, adminOnly, async (req, res) => {
+// Admin: Move product to trash; images are kept until it is purged
+router.delete('/product/:id', protect, requirePermission('product:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const product = await Product.findById(id);
@@ -533,16 +803,21 @@ router.delete('/product/:id', protect, adminOnly, async (req, res) => {
       });
     }
 
-    const publicIds = product.images.map((img) => img.public_id);
-    if (publicIds.length > 0) {
-      await deleteMultipleFromCloudinary(publicIds);
-    }
-
-    await Product.findByIdAndDelete(id);
+    const before = toSnapshot(product);
+    await product.moveToTrash(req.user.id);
+    await AuditLog.record(req, {
+      action: 'trash',
+      entity: 'Product',
+      entityId: product._id,
+      label: product.name,
+      before,
+      after: product
+    });
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Product moved to trash',
+      data: { id: product._id, purgeAt: product.purgeAt }
     });
   } catch (error) {
     res.status(500).json({
@@ -553,6 +828,117 @@ router.delete('/product/:id', protect, adminOnly, async (req, res) => {
   }
 });
 
+// Relevance-ranked text search with facet counts over the whole result set.
+// Price buckets are counted in the base currency and labelled in `currency`.
+const runProductSearch = async (searchText, { filter, sort, skip, limit, currency = BASE_CURRENCY }) => {
+  const sortStages = {
+    'relevance': { score: -1, createdAt: -1 },
+    '-createdAt': { createdAt: -1 },
+    'createdAt': { createdAt: 1 },
+    'price': { 'basePrice.effective': 1 },
+    '-price': { 'basePrice.effective': -1 },
+    'name': { name: 1 }
+  };
+
+  const variantFacet = (type) => [
+    { $unwind: '$variants' },
+    { $match: { 'variants.type': type } },
+    { $group: { _id: '$variants.value', products: { $addToSet: '$_id' } } },
+    { $project: { _id: 0, value: '$_id', count: { $size: '$products' } } },
+    { $sort: { count: -1, value: 1 } }
+  ];
+
+  const [result] = await Product.aggregate([
+    { $match: { $text: { $search: searchText }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        results: [
+          { $sort: sortStages[sort] || sortStages.relevance },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { _id: 1, score: 1 } }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category'
+            }
+          },
+          { $unwind: '$category' },
+          {
+            $project: {
+              _id: 0,
+              id: '$_id',
+              name: '$category.name',
+              slug: '$category.slug',
+              count: 1
+            }
+          },
+          { $sort: { count: -1 } }
+        ],
+        priceRanges: [
+          {
+            $bucket: {
+              groupBy: '$basePrice.effective',
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        colors: variantFacet('color'),
+        sizes: variantFacet('size'),
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $project: { _id: 0, value: '$_id', count: 1 } },
+          { $sort: { count: -1, value: 1 } },
+          { $limit: 20 }
+        ]
+      }
+    }
+  ]);
+
+  const ids = result.results.map((r) => r._id);
+  const docs = await Product.find({ _id: { $in: ids } })
+    .populate('category', 'name slug')
+    .select('-__v');
+  await Product.loadWhatsAppTemplates(docs);
+  const docMap = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+  const data = result.results
+    .filter((r) => docMap.has(r._id.toString()))
+    .map((r) => ({ ...docMap.get(r._id.toString()).toJSON(), score: r.score }));
+
+  // Label buckets as ranges, e.g. { min: 250, max: 500 }
+  const label = (amount) => convertAmount(amount, BASE_CURRENCY, currency);
+  const priceRanges = result.priceRanges.map((bucket) => {
+    if (bucket._id === 'above') {
+      return { min: label(PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1]), max: null, count: bucket.count };
+    }
+    const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id);
+    return { min: label(bucket._id), max: label(PRICE_BUCKET_BOUNDARIES[index + 1]), count: bucket.count };
+  });
+
+  return {
+    data,
+    total: result.total[0]?.count || 0,
+    facets: {
+      categories: result.categories,
+      priceRanges,
+      colors: result.colors,
+      sizes: result.sizes,
+      tags: result.tags
+    }
+  };
+};
+
 // Public: Search products
 router.get('/products/search', async (req, res) => {
   try {
@@ -561,72 +947,145 @@ router.get('/products/search', async (req, res) => {
       category,
       minPrice,
       maxPrice,
-      sort = '-createdAt',
+      color,
+      size,
+      tag,
+      includeOutOfStock,
+      sort = 'relevance',
       page = 1,
       limit = 12
     } = req.query;
+    const localize = await ExchangeRate.localizer(req.query.currency);
 
-    if (!q) {
+    if (!q || !String(q).trim()) {
       return res.status(400).json({
         success: false,
         message: 'Search query (q) is required'
       });
     }
 
-    const filter = {
-      isActive: true,
-      $or: [
-        { name: new RegExp(q, 'i') },
-        { description: new RegExp(q, 'i') },
-        { tags: new RegExp(q, 'i') }
-      ]
-    };
+    const filter = Product.publicFilter();
 
-    if (category) filter.category = category;
+    if (category) {
+      if (!mongoose.isValidObjectId(category)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+      filter.category = new mongoose.Types.ObjectId(category);
+    }
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (includeOutOfStock !== 'true') filter.inStock = { $ne: false };
+
+    const variantFilters = [];
+    if (color) variantFilters.push({ variants: { $elemMatch: { type: 'color', value: String(color) } } });
+    if (size) variantFilters.push({ variants: { $elemMatch: { type: 'size', value: String(size) } } });
+    if (variantFilters.length > 0) filter.$and = variantFilters;
 
     if (minPrice || maxPrice) {
-      filter['price.original'] = {};
-      if (minPrice) filter['price.original'].$gte = Number(minPrice);
-      if (maxPrice) filter['price.original'].$lte = Number(maxPrice);
+      Object.assign(filter, priceRangeFilter(minPrice, maxPrice, req.query.currency));
     }
 
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.max(1, Math.min(50, parseInt(limit)));
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(50, parseInt(limit) || 12));
     const skip = (pageNum - 1) * limitNum;
-
-    const sortOptions = {
-      '-createdAt': { createdAt: -1 },
-      'createdAt': { createdAt: 1 },
-      'price': { 'price.original': 1 },
-      '-price': { 'price.original': -1 },
-      'name': { name: 1 }
+    const options = {
+      filter,
+      sort,
+      skip,
+      limit: limitNum,
+      currency: req.query.currency ? normalizeCurrency(req.query.currency) : BASE_CURRENCY
     };
 
-    const products = await Product.find(filter)
-      .populate('category', 'name slug')
-      .sort(sortOptions[sort] || { createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip)
-      .select('-__v');
-
-    const total = await Product.countDocuments(filter);
+    let searchText = String(q).trim();
+    let correctedQuery = null;
+    let result = await runProductSearch(searchText, options);
+
+    // Nothing matched: retry once with typos corrected against the catalog
+    if (result.total === 0) {
+      correctedQuery = await correctQuery(searchText);
+      if (correctedQuery) {
+        searchText = correctedQuery;
+        result = await runProductSearch(searchText, options);
+      }
+    }
 
     res.json({
       success: true,
       query: q,
-      count: products.length,
-      total,
+      correctedQuery: result.total > 0 ? correctedQuery : null,
+      count: result.data.length,
+      total: result.total,
       page: pageNum,
-      pages: Math.ceil(total / limitNum),
-      data: products
+      pages: Math.ceil(result.total / limitNum),
+      facets: result.facets,
+      data: result.data.map(localize)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error searching products',
+      error: error.message
+    });
+  }
+});
+
+// Public: Autocomplete suggestions for the search box
+router.get('/products/suggest', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+    const prefix = String(q || '').trim();
+    const localize = await ExchangeRate.localizer(req.query.currency);
+
+    if (!prefix) {
+      return res.json({ success: true, data: { terms: [], products: [] } });
+    }
+
+    const limitNum = Math.max(1, Math.min(10, parseInt(limit) || 5));
+    const pattern = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, 'i');
+
+    const [terms, products] = await Promise.all([
+      suggestTerms(prefix, limitNum),
+      Product.find({
+        ...Product.publicFilter(),
+        inStock: { $ne: false },
+        $or: [{ name: pattern }, { tags: pattern }]
+      })
+        .sort({ isFeatured: -1, views: -1 })
+        .limit(limitNum)
+        .select('name sku images price currency category tags')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        terms,
+        products: products.map((p) => {
+          const { effectivePrice, currency } = localize({
+            price: p.price,
+            currency: p.currency || BASE_CURRENCY,
+            effectivePrice: effectivePriceOf(p)
+          });
+          return {
+            id: p._id,
+            name: p.name,
+            sku: p.sku,
+            image: p.images?.[0]?.url || null,
+            price: effectivePrice,
+            currency
+          };
+        })
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Error searching products',
+      message: error.statusCode ? error.message : 'Error fetching suggestions',
       error: error.message
     });
   }
 });
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,118 @@
+// routes/sku.js
+import express from 'express';
+import { Product } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toSnapshot } from '../utils/diff.js';
+import { SKU_REGEX, normalizeSku } from '../utils/sku.js';
+
+const router = express.Router();
+
+// Mounted under /api/product next to the public product routes, so guard
+// each route rather than the whole router
+const canEdit = [protect, requirePermission('product:write')];
+
+// Save a product with its new SKU and record who changed it. Order items
+// keep their own SKU snapshot, so past orders are unaffected.
+const saveSku = async (req, product, sku) => {
+  const before = toSnapshot(product);
+  const previousSku = product.sku;
+
+  product.sku = sku;
+  product.$locals.revisionAuthor = req.user.id;
+  product.$locals.revisionSource = 'update';
+  await product.save();
+
+  await AuditLog.record(req, {
+    action: 'update',
+    entity: 'Product',
+    entityId: product._id,
+    label: product.name,
+    before,
+    after: product
+  });
+
+  return { id: product._id, previousSku, sku: product.sku };
+};
+
+// Admin: Give a product a fresh SKU from its category's sequence, e.g.
+// after moving it to another category. The old number is not reused.
+router.post('/:id/sku/regenerate', canEdit, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const sku = await Product.generateSku(product.category);
+    const data = await saveSku(req, product, sku);
+
+    res.json({
+      success: true,
+      message: `SKU changed from ${data.previousSku} to ${data.sku}`,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating SKU',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Set a product's SKU by hand
+router.put('/:id/sku', canEdit, async (req, res) => {
+  try {
+    const sku = req.body.sku ? normalizeSku(req.body.sku) : '';
+    if (!SKU_REGEX.test(sku)) {
+      return res.status(400).json({
+        success: false,
+        message: 'SKU must be 2-40 letters, digits, dashes or underscores'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Trashed products still own their SKU until they are purged
+    const taken = await Product.exists({ sku, _id: { $ne: product._id } })
+      .setOptions({ withDeleted: true });
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: `SKU ${sku} is already used by another product`
+      });
+    }
+
+    const data = await saveSku(req, product, sku);
+
+    res.json({
+      success: true,
+      message: `SKU changed from ${data.previousSku} to ${data.sku}`,
+      data
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: await Product.describeDuplicate(error, 'SKU is already used by another product')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating SKU',
+      error: error.message
+    });
+  }
+});
+
+export default router;
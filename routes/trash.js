@@ -0,0 +1,243 @@
+// routes/trash.js
+import express from 'express';
+import { Category, Product, TRASH_RETENTION_DAYS } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { toSnapshot } from '../utils/diff.js';
+import { purgeProduct, purgeCategory, sweepExpiredTrash } from '../utils/trash.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+const withPurgeAt = (doc) => ({ ...doc.toJSON(), purgeAt: doc.purgeAt });
+
+// =====================
+// PRODUCTS
+// =====================
+
+// Admin: List trashed products, most recently deleted first
+router.get('/products', requirePermission('product:write'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const products = await Product.find(TRASHED)
+      .populate({ path: 'category', select: 'name slug', options: { withDeleted: true } })
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v');
+
+    const total = await Product.countDocuments(TRASHED);
+
+    res.json({
+      success: true,
+      count: products.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: products.map(withPurgeAt)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed products',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Restore a trashed product
+router.post('/products/:id/restore', requirePermission('product:write'), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, ...TRASHED });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed product not found'
+      });
+    }
+
+    if (!(await Category.exists({ _id: product.category }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The product\'s category is in the trash. Restore the category first.'
+      });
+    }
+
+    const before = toSnapshot(product);
+    await product.restoreFromTrash();
+    await AuditLog.record(req, {
+      action: 'restore',
+      entity: 'Product',
+      entityId: product._id,
+      label: product.name,
+      before,
+      after: product
+    });
+
+    res.json({
+      success: true,
+      message: 'Product restored',
+      data: product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring product',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Permanently delete a trashed product and its images
+router.delete('/products/:id', requirePermission('product:write'), async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, ...TRASHED });
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed product not found'
+      });
+    }
+
+    await purgeProduct(product, req);
+
+    res.json({
+      success: true,
+      message: 'Product permanently deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error purging product',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// CATEGORIES
+// =====================
+
+// Admin: List trashed categories
+router.get('/categories', requirePermission('category:write'), async (req, res) => {
+  try {
+    const categories = await Category.find(TRASHED)
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      count: categories.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: categories.map(withPurgeAt)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trashed categories',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Restore a trashed category
+router.post('/categories/:id/restore', requirePermission('category:write'), async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, ...TRASHED });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed category not found'
+      });
+    }
+
+    if (category.parent && !(await Category.exists({ _id: category.parent }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The category\'s parent is in the trash. Restore the parent category first.'
+      });
+    }
+
+    const before = toSnapshot(category);
+    await category.restoreFromTrash();
+    await AuditLog.record(req, {
+      action: 'restore',
+      entity: 'Category',
+      entityId: category._id,
+      label: category.name,
+      before,
+      after: category
+    });
+
+    res.json({
+      success: true,
+      message: 'Category restored',
+      data: category
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring category',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Permanently delete a trashed category and its image
+router.delete('/categories/:id', requirePermission('category:write'), async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, ...TRASHED });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trashed category not found'
+      });
+    }
+
+    await purgeCategory(category, req);
+
+    res.json({
+      success: true,
+      message: 'Category permanently deleted'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error purging category',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Purge everything past the retention period now instead of
+// waiting for the hourly sweep
+router.post('/sweep', requirePermission('product:write'), requirePermission('category:write'), async (req, res) => {
+  try {
+    const summary = await sweepExpiredTrash(req);
+
+    res.json({
+      success: true,
+      message: 'Expired trash purged',
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sweeping trash',
+      error: error.message
+    });
+  }
+});
+
+export default router;
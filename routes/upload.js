@@ -1,18 +1,12 @@
 import express from 'express';
 import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { uploadBufferToCloudinary, reviewPhotoFolder } from '../utils/cloudinaryHelpers.js';
+import AuditLog from '../models/auditLogModel.js';
 
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -27,8 +21,17 @@ const upload = multer({
   },
 });
 
+const recordUploads = (req, images) => Promise.all(images.map((image) =>
+  AuditLog.record(req, {
+    action: 'upload',
+    entity: 'Image',
+    entityId: image.public_id,
+    after: image
+  })
+));
+
 // Single image upload
-router.post('/single', protect, adminOnly, upload.single('image'), async (req, res) => {
+router.post('/single', protect, requirePermission('upload:write'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -38,26 +41,12 @@ router.post('/single', protect, adminOnly, upload.single('image'), async (req, r
     }
 
     // Upload to Cloudinary
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'crochet-catalog',
-          transformation: [{ width: 1000, height: 1000, crop: 'limit', quality: 'auto' }],
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-      uploadStream.end(req.file.buffer);
-    });
+    const result = await uploadBufferToCloudinary(req.file.buffer);
+    await recordUploads(req, [result]);
 
     res.json({
       success: true,
-      data: {
-        url: result.secure_url,
-        public_id: result.public_id,
-      },
+      data: result,
     });
   } catch (error) {
     console.error('Upload error:', error);
@@ -70,7 +59,7 @@ router.post('/single', protect, adminOnly, upload.single('image'), async (req, r
 });
 
 // Multiple images upload
-router.post('/multiple', protect, adminOnly, upload.array('images', 10), async (req, res) => {
+router.post('/multiple', protect, requirePermission('upload:write'), upload.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -80,23 +69,38 @@ router.post('/multiple', protect, adminOnly, upload.array('images', 10), async (
     }
 
     // Upload all images to Cloudinary
-    const uploadPromises = req.files.map((file) => {
-      return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: 'crochet-catalog',
-            transformation: [{ width: 1000, height: 1000, crop: 'limit', quality: 'auto' }],
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve({ url: result.secure_url, public_id: result.public_id });
-          }
-        );
-        uploadStream.end(file.buffer);
-      });
+    const uploadedImages = await Promise.all(
+      req.files.map((file) => uploadBufferToCloudinary(file.buffer))
+    );
+    await recordUploads(req, uploadedImages);
+
+    res.json({
+      success: true,
+      data: uploadedImages,
     });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload images',
+      error: error.message,
+    });
+  }
+});
 
-    const uploadedImages = await Promise.all(uploadPromises);
+// Review photos upload (any signed-in customer)
+router.post('/review', protect, requireVerifiedEmail, upload.array('images', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image files provided',
+      });
+    }
+
+    const uploadedImages = await Promise.all(
+      req.files.map((file) => uploadBufferToCloudinary(file.buffer, reviewPhotoFolder(req.user.id)))
+    );
 
     res.json({
       success: true,
@@ -106,11 +110,11 @@ router.post('/multiple', protect, adminOnly, upload.array('images', 10), async (
     console.error('Upload error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload images',
+      message: 'Failed to upload review photos',
       error: error.message,
     });
   }
 });
 
 
-export default router;
\ No newline at end of file
+export default router;
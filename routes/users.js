@@ -0,0 +1,580 @@
+// routes/users.js
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/userModel.js';
+import Session from '../models/sessionModel.js';
+import LoginEvent from '../models/loginEventModel.js';
+import Invitation from '../models/invitationModel.js';
+import Role, { LEGACY_ROLE_ALIASES } from '../models/roleModel.js';
+import AuditLog from '../models/auditLogModel.js';
+import {
+  protect,
+  requirePermission,
+  missingPermissions,
+  generateEnrollmentToken
+} from '../middleware/auth.js';
+import { escapeRegex } from '../utils/escapeRegex.js';
+import { hashToken } from '../utils/hashToken.js';
+import { sendInvitationEmail, sendEnrollmentEmail } from '../utils/mailer.js';
+
+const router = express.Router();
+
+const USER_LIST_FIELDS = 'username email role isActive emailVerified lastLogin loginAttempts lockUntil twoFactor.enabled createdAt';
+
+router.use(protect);
+
+const canRead = requirePermission('user:read');
+const canManage = requirePermission('user:manage');
+
+// Owners (and legacy admins) hold every permission
+const isOwnerRole = async (role) => (await Role.getPermissions(role)).has('*');
+
+// Staff may only grant, take away or suspend a role whose permissions are
+// all ones they hold themselves; otherwise a user:manage holder could hand
+// out role:manage and make themselves an owner in two steps
+const exceedsActor = async (actor, role) =>
+  (await missingPermissions(actor, await Role.getPermissions(role))).length > 0;
+
+// Refuse to strip the last active owner, or nobody could manage users again
+const isLastOwner = async (user) => {
+  if (!user.isActive || !(await isOwnerRole(user.role))) return false;
+  const ownerRoles = ['owner', ...Object.keys(LEGACY_ROLE_ALIASES)];
+  const otherOwners = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: { $in: ownerRoles },
+    isActive: true
+  });
+  return otherOwners === 0;
+};
+
+// =====================
+// INVITATIONS
+// =====================
+
+// Admin: Invite a new staff member by email
+router.post('/invitations', canManage, async (req, res) => {
+  try {
+    const { email, role = 'viewer', expiresInHours = 72 } = req.body;
+
+    if (!(await Role.exists({ name: role }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role ${role} does not exist`
+      });
+    }
+
+    if (await exceedsActor(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only invite staff to roles within your own permissions'
+      });
+    }
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const hours = Math.max(1, Math.min(168, parseInt(expiresInHours) || 72));
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    await AuditLog.record(req, {
+      action: 'create',
+      entity: 'Invitation',
+      entityId: invitation._id,
+      label: invitation.email,
+      after: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt }
+    });
+
+    const inviter = await User.findById(req.user.id).select('username');
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation, inviter, token);
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Invitation sent'
+        : 'Invitation created, but the email could not be sent. Share the link manually.',
+      data: invitation,
+      // Only returned when mail failed, so the link can still be delivered
+      inviteToken: emailSent ? undefined : token
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating invitation',
+      error: error.message
+    });
+  }
+});
+
+// Admin: List invitations
+router.get('/invitations', canRead, async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('invitedBy', 'username')
+      .populate('acceptedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ success: true, count: invitations.length, data: invitations });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Revoke a pending invitation
+router.delete('/invitations/:id', canManage, async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'Invitation',
+      entityId: invitation._id,
+      label: invitation.email,
+      before: { revokedAt: null },
+      after: { revokedAt: invitation.revokedAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: error.message
+    });
+  }
+});
+
+// =====================
+// USERS
+// =====================
+
+// Admin: List and search users
+router.get('/', canRead, async (req, res) => {
+  try {
+    const { q, role, isActive, locked, sort = '-createdAt', page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (locked === 'true') filter.lockUntil = { $gt: new Date() };
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const sortOptions = {
+      '-createdAt': { createdAt: -1 },
+      'createdAt': { createdAt: 1 },
+      '-lastLogin': { lastLogin: -1 },
+      'username': { username: 1 }
+    };
+
+    const users = await User.find(filter)
+      .sort(sortOptions[sort] || { createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select(USER_LIST_FIELDS);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Get single user
+router.get('/:id', canRead, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(USER_LIST_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({ success: true, data: { ...user.toObject(), isLocked: user.isLocked, activeSessions } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Login history for a user
+router.get('/:id/login-history', canRead, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+    const filter = { user: req.params.id };
+
+    const events = await LoginEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip(skip)
+      .select('-__v -user');
+
+    const total = await LoginEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: events.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: events
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching login history',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Unlock an account locked by failed logins
+router.patch('/:id/unlock', canManage, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    ).select(USER_LIST_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      label: user.username,
+      before: { loginAttempts: user.loginAttempts, lockUntil: user.lockUntil },
+      after: { loginAttempts: 0 }
+    });
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+});
+
+// Re-issued enrollment links last longer than the one handed out at login,
+// since they go by email
+const ENROLLMENT_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+// Owner: Send a staff member who hasn't set up 2FA a new enrollment link,
+// e.g. when the one from their invitation lapsed. Earlier links stop working.
+router.post('/:id/reissue-enrollment', canManage, async (req, res) => {
+  try {
+    if (!(await isOwnerRole(req.user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can issue enrollment links'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    // Bumping tokenVersion voids any enrollment token sent before
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $ne: 'user' }, isActive: true, 'twoFactor.enabled': { $ne: true } },
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    ).select('username email role tokenVersion');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollment links are only for active staff without two-factor authentication'
+      });
+    }
+
+    const token = generateEnrollmentToken(user, ENROLLMENT_LINK_TTL_SECONDS);
+    const expiresAt = new Date(Date.now() + ENROLLMENT_LINK_TTL_SECONDS * 1000);
+
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      label: user.username,
+      after: { enrollmentLinkExpiresAt: expiresAt }
+    });
+
+    let emailSent = true;
+    try {
+      await sendEnrollmentEmail(user, token, expiresAt);
+    } catch (mailError) {
+      console.error('Enrollment email error:', mailError);
+      emailSent = false;
+    }
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Enrollment link sent'
+        : 'Enrollment link created, but the email could not be sent. Share it manually.',
+      data: { expiresAt },
+      // Only returned when mail failed, so the link can still be delivered
+      enrollmentToken: emailSent ? undefined : token
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing enrollment link',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Activate or deactivate an account
+router.patch('/:id/active', canManage, async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    if (req.params.id === req.user.id && !isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only someone holding every permission of the user's role may
+    // deactivate or reactivate them
+    if (await exceedsActor(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the status of a user whose role exceeds your permissions'
+      });
+    }
+
+    if (!isActive && await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active owner'
+      });
+    }
+
+    const wasActive = user.isActive;
+
+    // Saving bumps tokenVersion, so a deactivated user is cut off at once
+    user.isActive = isActive;
+    await user.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      label: user.username,
+      before: { isActive: wasActive },
+      after: { isActive }
+    });
+
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    res.json({
+      success: true,
+      message: isActive ? 'Account activated' : 'Account deactivated',
+      data: { id: user._id, isActive: user.isActive }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating account status',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Change a user's role
+router.patch('/:id/role', canManage, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (typeof role !== 'string' || (role !== 'user' && !(await Role.exists({ name: role })))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Use user or the name of an existing role.'
+      });
+    }
+
+    if (await exceedsActor(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only grant roles within your own permissions'
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Taking access away is as restricted as granting it
+    if (await exceedsActor(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the role of a user whose role exceeds your permissions'
+      });
+    }
+
+    if (!(await isOwnerRole(role)) && await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active owner'
+      });
+    }
+
+    const previousRole = user.role;
+
+    // Saving bumps tokenVersion, so the new role applies immediately
+    user.role = role;
+    await user.save();
+    await AuditLog.record(req, {
+      action: 'update',
+      entity: 'User',
+      entityId: user._id,
+      label: user.username,
+      before: { role: previousRole },
+      after: { role: user.role }
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`,
+      data: { id: user._id, role: user.role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error changing role',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,46 +1,40 @@
 // routes/whatsapp.js
-// Optional: Add this to server.js for enhanced WhatsApp security
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import mongoose from 'mongoose';
-import { rateLimit } from '../middleware/auth.js';
+import { Product } from '../models/model.js';
+import Inquiry from '../models/inquiryModel.js';
+import Agent from '../models/agentModel.js';
+import { protect, optionalAuth, requirePermission, rateLimit } from '../middleware/auth.js';
+import { toCsv } from '../utils/csv.js';
+import {
+  TEMPLATE_PLACEHOLDERS,
+  validateTemplate,
+  renderTemplate,
+  buildTemplateValues,
+  whatsappUrl
+} from '../utils/whatsappTemplate.js';
 
 const router = express.Router();
 
-// Inquiry Log Schema
-const inquirySchema = new mongoose.Schema({
-  product: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Product',
-    required: true
-  },
-  ipAddress: String,
-  userAgent: String,
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  verified: {
-    type: Boolean,
-    default: false
-  }
-}, { timestamps: true });
-
-inquirySchema.index({ product: 1, ipAddress: 1, timestamp: -1 });
-const Inquiry = mongoose.model('Inquiry', inquirySchema);
-
 // Stricter rate limiter for WhatsApp inquiries
 const whatsappLimiter = rateLimit(5, 60 * 60 * 1000); // 5 per hour
 
-// Generate secure WhatsApp link with token
-router.post('/product/:id/whatsapp', whatsappLimiter, async (req, res) => {
+// Customer's preferred language code: the body's language, else the first
+// Accept-Language entry
+const inquiryLanguage = (req) => {
+  const requested = req.body.language || req.acceptsLanguages()[0];
+  const code = String(requested || '').split('-')[0].toLowerCase();
+  return /^[a-z]{2,3}$/.test(code) ? code : null;
+};
+
+// Generate secure WhatsApp link with token. Optional body fields fill in
+// the message template: variantIds (options the customer picked), quantity
+// and customerName. The chat goes to a sales agent picked by Agent.route.
+router.post('/product/:id/whatsapp', whatsappLimiter, optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { captchaToken, honeypot } = req.body;
+    const { captchaToken, honeypot, variantIds, quantity, customerName } = req.body;
 
     // Honeypot check (bot detection)
     if (honeypot) {
@@ -61,9 +55,7 @@ router.post('/product/:id/whatsapp', whatsappLimiter, async (req, res) => {
     //   }
     // }
 
-    // Get product
-    const Product = (await import('../models/model.js')).Product;
-    const product = await Product.findOne({ _id: id, isActive: true });
+    const product = await Product.findOne({ ...Product.publicFilter(), _id: id });
 
     if (!product) {
       return res.status(404).json({
@@ -86,20 +78,38 @@ router.post('/product/:id/whatsapp', whatsappLimiter, async (req, res) => {
       });
     }
 
+    const { agent, whatsappNumber, routing } = await Agent.route({
+      product,
+      language: inquiryLanguage(req)
+    });
+
     // Log inquiry
     await Inquiry.create({
       product: id,
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
       userId: req.user?.id,
-      verified: !!captchaToken
+      verified: !!captchaToken,
+      agent: agent?._id,
+      whatsappNumber,
+      routing
     });
 
+    // Only keep choices that exist on this product
+    const knownVariants = new Set(product.variants.map((v) => v._id.toString()));
+    const chosenVariants = (Array.isArray(variantIds) ? variantIds : [])
+      .map(String)
+      .filter((variantId) => knownVariants.has(variantId));
+
     // Generate time-limited token
     const token = jwt.sign(
       { 
         productId: id, 
         userId: req.user?.id,
+        variantIds: chosenVariants,
+        quantity: Math.max(1, Math.min(999, parseInt(quantity) || 1)),
+        customerName: customerName ? String(customerName).trim().slice(0, 100) : undefined,
+        number: whatsappNumber,
         timestamp: Date.now() 
       },
       process.env.JWT_SECRET,
@@ -112,6 +122,7 @@ router.post('/product/:id/whatsapp', whatsappLimiter, async (req, res) => {
     res.json({
       success: true,
       redirectUrl,
+      agent: agent ? { name: agent.name } : null,
       expiresIn: 300 // 5 minutes
     });
   } catch (error) {
@@ -131,8 +142,6 @@ router.get('/redirect/:token', async (req, res) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get product
-    const Product = (await import('../models/model.js')).Product;
     const product = await Product.findById(decoded.productId)
       .populate('category', 'name');
 
@@ -141,18 +150,15 @@ router.get('/redirect/:token', async (req, res) => {
     }
 
     // Generate WhatsApp link
-    const cleanNumber = product.whatsappNumber.replace(/[\s+]/g, '');
-    const message = product.whatsappMessage
-      .replace('{productName}', product.name)
-      .replace('{productPrice}', `₹${product.effectivePrice}`)
-      .replace('{productSKU}', product.sku || '')
-      .replace('{productCategory}', product.category?.name || '');
-    
-    const encodedMessage = encodeURIComponent(message);
-    const whatsappUrl = `https://wa.me/${cleanNumber}?text=${encodedMessage}`;
+    const link = await product.buildWhatsAppLink({
+      variantIds: decoded.variantIds,
+      quantity: decoded.quantity,
+      customerName: decoded.customerName,
+      number: decoded.number
+    });
 
     // Redirect to WhatsApp
-    res.redirect(whatsappUrl);
+    res.redirect(link);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(410).send('Inquiry link expired. Please request a new one.');
@@ -161,19 +167,134 @@ router.get('/redirect/:token', async (req, res) => {
   }
 });
 
-// Admin: Get inquiry analytics
-router.get('/admin/inquiries', async (req, res) => {
+// Build the inquiry match stage shared by the admin analytics routes.
+// Aggregation pipelines don't cast, so ids are converted to ObjectIds here.
+const buildInquiryFilter = async ({ startDate, endDate, productId, category, agent }) => {
+  const filter = {};
+  for (const date of [startDate, endDate]) {
+    if (date && Number.isNaN(new Date(date).getTime())) return null;
+  }
+  if (startDate) filter.timestamp = { $gte: new Date(startDate) };
+  if (endDate) filter.timestamp = { ...filter.timestamp, $lte: new Date(endDate) };
+
+  if (productId) {
+    if (!mongoose.isValidObjectId(productId)) return null;
+    filter.product = new mongoose.Types.ObjectId(productId);
+  }
+
+  if (category) {
+    if (!mongoose.isValidObjectId(category)) return null;
+    const productIds = await Product.find({ category }).distinct('_id');
+    filter.product = filter.product
+      ? { $in: productIds.filter((pid) => pid.equals(filter.product)) }
+      : { $in: productIds };
+  }
+
+  // 'none' matches inquiries that fell back to the default number
+  if (agent) {
+    if (agent === 'none') filter.agent = null;
+    else if (!mongoose.isValidObjectId(agent)) return null;
+    else filter.agent = new mongoose.Types.ObjectId(agent);
+  }
+
+  return filter;
+};
+
+const invalidFilterResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid date, productId, category or agent'
+});
+
+// MongoDB accepts Olson names ("Asia/Kolkata") and UTC offsets ("+05:30")
+const isValidTimezone = (timeZone) => {
+  if (/^[+-]\d{2}(:?\d{2})?$/.test(timeZone)) return true;
   try {
-    const { startDate, endDate, productId } = req.query;
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Admin: Render a template against a product without saving it. Omit
+// template to preview the one the product would actually use.
+router.post('/admin/preview', protect, requirePermission('product:write'), async (req, res) => {
+  try {
+    const { productId, template, variantIds, quantity, customerName } = req.body;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid productId is required'
+      });
+    }
+
+    if (template !== undefined) {
+      const templateError = validateTemplate(template);
+      if (templateError) {
+        return res.status(400).json({
+          success: false,
+          message: templateError
+        });
+      }
+    }
+
+    const product = await Product.findById(productId)
+      .populate('category', 'name whatsappTemplate');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const resolved = template !== undefined
+      ? { template, source: 'request' }
+      : await product.resolveWhatsAppTemplate();
+    const values = buildTemplateValues(product, {
+      variantIds: Array.isArray(variantIds) ? variantIds : [],
+      quantity,
+      customerName
+    });
+    const message = renderTemplate(resolved.template, values);
+
+    // Typos like {prodName} are left in the message as typed
+    const unknownPlaceholders = [...new Set(
+      [...resolved.template.matchAll(/\{(\w+)\}/g)]
+        .map(([, name]) => name)
+        .filter((name) => name !== 'else' && !Object.hasOwn(TEMPLATE_PLACEHOLDERS, name))
+    )];
+
+    res.json({
+      success: true,
+      data: {
+        template: resolved.template,
+        source: resolved.source,
+        message,
+        link: product.whatsappNumber ? whatsappUrl(product.whatsappNumber, message) : null,
+        unknownPlaceholders,
+        placeholders: TEMPLATE_PLACEHOLDERS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rendering preview',
+      error: error.message
+    });
+  }
+});
 
-    const filter = {};
-    if (startDate) filter.timestamp = { $gte: new Date(startDate) };
-    if (endDate) filter.timestamp = { ...filter.timestamp, $lte: new Date(endDate) };
-    if (productId) filter.product = productId;
+// Admin: Get inquiry log
+router.get('/admin/inquiries', protect, requirePermission('inquiry:read'), async (req, res) => {
+  try {
+    const filter = await buildInquiryFilter(req.query);
+    if (!filter) return invalidFilterResponse(res);
 
     const inquiries = await Inquiry.find(filter)
       .populate('product', 'name sku')
       .populate('userId', 'username email')
+      .populate('agent', 'name whatsappNumber')
       .sort({ timestamp: -1 })
       .limit(100);
 
@@ -218,4 +339,240 @@ router.get('/admin/inquiries', async (req, res) => {
   }
 });
 
+// Admin: Inquiry analytics (per day, per category, per product, and
+// inquiries per lifetime view)
+router.get('/admin/inquiries/analytics', protect, requirePermission('inquiry:read'), async (req, res) => {
+  try {
+    const { timezone = 'UTC', limit = 20 } = req.query;
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone'
+      });
+    }
+
+    const filter = await buildInquiryFilter(req.query);
+    if (!filter) return invalidFilterResponse(res);
+
+    const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 20));
+
+    const [facets] = await Inquiry.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                inquiries: { $sum: 1 },
+                uniqueIPs: { $addToSet: '$ipAddress' },
+                verified: { $sum: { $cond: ['$verified', 1, 0] } }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                inquiries: 1,
+                verified: 1,
+                uniqueUsers: { $size: '$uniqueIPs' }
+              }
+            }
+          ],
+          perDay: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone }
+                },
+                inquiries: { $sum: 1 },
+                uniqueIPs: { $addToSet: '$ipAddress' }
+              }
+            },
+            { $sort: { _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                date: '$_id',
+                inquiries: 1,
+                uniqueUsers: { $size: '$uniqueIPs' }
+              }
+            }
+          ],
+          perCategory: [
+            { $group: { _id: '$product.category', inquiries: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                categoryId: '$_id',
+                categoryName: '$category.name',
+                inquiries: 1
+              }
+            },
+            { $sort: { inquiries: -1 } }
+          ],
+          // How chats were split between agents; agentId null is the
+          // fallback number
+          perAgent: [
+            {
+              $group: {
+                _id: '$agent',
+                inquiries: { $sum: 1 },
+                byRule: { $sum: { $cond: [{ $eq: ['$routing', 'rule'] }, 1, 0] } }
+              }
+            },
+            {
+              $lookup: {
+                from: 'agents',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'agent'
+              }
+            },
+            { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                agentId: '$_id',
+                agentName: '$agent.name',
+                inquiries: 1,
+                byRule: 1
+              }
+            },
+            { $sort: { inquiries: -1 } }
+          ],
+          perProduct: [
+            {
+              $group: {
+                _id: '$product._id',
+                name: { $first: '$product.name' },
+                sku: { $first: '$product.sku' },
+                lifetimeViews: { $first: '$product.views' },
+                inquiries: { $sum: 1 }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                productId: '$_id',
+                name: 1,
+                sku: 1,
+                lifetimeViews: 1,
+                inquiries: 1,
+                inquiriesPerLifetimeView: {
+                  $cond: [
+                    { $gt: ['$lifetimeViews', 0] },
+                    { $round: [{ $divide: ['$inquiries', '$lifetimeViews'] }, 4] },
+                    null
+                  ]
+                }
+              }
+            },
+            { $sort: { inquiries: -1 } },
+            { $limit: limitNum }
+          ]
+        }
+      }
+    ]);
+
+    // Views are a lifetime counter on Product with no per-day history, so
+    // this is not a conversion rate for the range: it divides the inquiries
+    // in range by every view the products in scope have ever had.
+    const productScope = {};
+    if (filter.product) productScope._id = filter.product;
+    const [viewTotals] = await Product.aggregate([
+      { $match: productScope },
+      { $group: { _id: null, views: { $sum: '$views' } } }
+    ]);
+
+    const totals = facets.totals[0] || { inquiries: 0, verified: 0, uniqueUsers: 0 };
+    const lifetimeViews = viewTotals?.views || 0;
+
+    res.json({
+      success: true,
+      data: {
+        totals: {
+          ...totals,
+          lifetimeViews,
+          inquiriesPerLifetimeView: lifetimeViews > 0
+            ? Math.round((totals.inquiries / lifetimeViews) * 10000) / 10000
+            : null
+        },
+        perDay: facets.perDay,
+        perCategory: facets.perCategory,
+        perAgent: facets.perAgent,
+        perProduct: facets.perProduct
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inquiry analytics',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Export inquiries as CSV
+router.get('/admin/inquiries/export', protect, requirePermission('inquiry:read'), async (req, res) => {
+  try {
+    const filter = await buildInquiryFilter(req.query);
+    if (!filter) return invalidFilterResponse(res);
+
+    const inquiries = await Inquiry.find(filter)
+      .populate({
+        path: 'product',
+        select: 'name sku category',
+        populate: { path: 'category', select: 'name' }
+      })
+      .populate('userId', 'username email')
+      .populate('agent', 'name')
+      .sort({ timestamp: -1 })
+      .lean();
+
+    const csv = toCsv([
+      { header: 'Timestamp', value: (i) => i.timestamp },
+      { header: 'Product', value: (i) => i.product?.name },
+      { header: 'SKU', value: (i) => i.product?.sku },
+      { header: 'Category', value: (i) => i.product?.category?.name },
+      { header: 'Username', value: (i) => i.userId?.username },
+      { header: 'Email', value: (i) => i.userId?.email },
+      { header: 'IP Address', value: (i) => i.ipAddress },
+      { header: 'User Agent', value: (i) => i.userAgent },
+      { header: 'Verified', value: (i) => i.verified },
+      { header: 'Agent', value: (i) => i.agent?.name },
+      { header: 'WhatsApp Number', value: (i) => i.whatsappNumber },
+      { header: 'Routing', value: (i) => i.routing }
+    ], inquiries);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="inquiries-${stamp}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting inquiries',
+      error: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -10,6 +10,12 @@ import mongoSanitize from 'express-mongo-sanitize';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Role from './models/roleModel.js';
+import User from './models/userModel.js';
+import { startTrashSweeper } from './utils/trash.js';
+import { startCampaignRefresher } from './utils/promotions.js';
+import ExchangeRate from './models/exchangeRateModel.js';
+import { Product } from './models/model.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -119,10 +125,45 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 const authRoutes = await import('./routes/auth.js');
 const appRoutes = await import('./routes/routes.js');
 const uploadRoutes = await import('./routes/upload.js');
-
+const whatsappRoutes = await import('./routes/whatsapp.js');
+const orderRoutes = await import('./routes/orders.js');
+const inventoryRoutes = await import('./routes/inventory.js');
+const reviewRoutes = await import('./routes/reviews.js');
+const accountRoutes = await import('./routes/account.js');
+const userRoutes = await import('./routes/users.js');
+const roleRoutes = await import('./routes/roles.js');
+const auditRoutes = await import('./routes/audit.js');
+const trashRoutes = await import('./routes/trash.js');
+const revisionRoutes = await import('./routes/revisions.js');
+const productTransferRoutes = await import('./routes/productTransfer.js');
+const productBulkRoutes = await import('./routes/productBulk.js');
+const skuRoutes = await import('./routes/sku.js');
+const collectionRoutes = await import('./routes/collections.js');
+const promotionRoutes = await import('./routes/promotions.js');
+const currencyRoutes = await import('./routes/currencies.js');
+const agentRoutes = await import('./routes/agents.js');
+
+app.use(['/api/auth/forgot-password', '/api/auth/reset-password', '/api/auth/login/2fa'], authLimiter);
 app.use('/api/auth', authRoutes.default);
 app.use('/api', appRoutes.default);
 app.use('/api/upload', uploadRoutes.default);
+app.use('/api/whatsapp', whatsappRoutes.default);
+app.use('/api/orders', orderRoutes.default);
+app.use('/api/inventory', inventoryRoutes.default);
+app.use('/api/reviews', reviewRoutes.default);
+app.use('/api/account', accountRoutes.default);
+app.use('/api/users', userRoutes.default);
+app.use('/api/roles', roleRoutes.default);
+app.use('/api/audit', auditRoutes.default);
+app.use('/api/trash', trashRoutes.default);
+app.use('/api/product', revisionRoutes.default);
+app.use('/api/product', skuRoutes.default);
+app.use('/api/products', productTransferRoutes.default);
+app.use('/api/products', productBulkRoutes.default);
+app.use('/api/collections', collectionRoutes.default);
+app.use('/api/promotions', promotionRoutes.default);
+app.use('/api/currencies', currencyRoutes.default);
+app.use('/api/agents', agentRoutes.default);
 
 // ──────────────────────────────────────────────────────────────────────────────
 // HEALTH CHECK
@@ -136,27 +177,154 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: {
         'POST /api/auth/register': 'Register new user',
-        'POST /api/auth/login': 'Login (returns access & refresh tokens)',
-        'POST /api/auth/refresh': 'Refresh access token',
-        'POST /api/auth/logout': 'Logout user',
+        'POST /api/auth/login': 'Login (returns tokens, or a 2FA challenge; staff must have 2FA)',
+        'POST /api/auth/login/2fa': 'Complete login with a TOTP or backup code',
+        'POST /api/auth/refresh': 'Rotate refresh token and issue a new access token',
+        'POST /api/auth/logout': 'Logout current session',
+        'POST /api/auth/logout-all': 'Logout on every device',
+        'GET  /api/auth/sessions': 'List logged-in devices',
+        'DELETE /api/auth/sessions/:id': 'Revoke a logged-in device',
+        'POST /api/auth/register-admin': 'Register the first admin as owner (bootstrap only)',
+        'POST /api/auth/accept-invite': 'Create a staff account from an invitation',
+        'POST /api/auth/verify-email': 'Verify email with token from the verification email',
+        'POST /api/auth/resend-verification': 'Resend verification email',
+        'POST /api/auth/forgot-password': 'Email a single-use password reset link',
+        'POST /api/auth/reset-password': 'Reset password with token',
+        'POST /api/auth/change-password': 'Change password and sign out other devices',
+        'POST /api/auth/2fa/setup': 'Start TOTP enrollment (staff)',
+        'POST /api/auth/2fa/enable': 'Confirm TOTP enrollment and get backup codes (staff)',
+        'POST /api/auth/2fa/backup-codes': 'Regenerate backup codes',
+        'POST /api/auth/2fa/disable': 'Disable two-factor authentication',
         'GET  /api/auth/me': 'Get current user info'
       },
+      users: {
+        'GET    /api/users': 'List and search users (user:read)',
+        'GET    /api/users/:id': 'Get single user (user:read)',
+        'GET    /api/users/:id/login-history': 'Login history (user:read)',
+        'PATCH  /api/users/:id/unlock': 'Unlock a locked account (user:manage)',
+        'POST   /api/users/:id/reissue-enrollment': 'Email a staff member a new 2FA enrollment link (owner)',
+        'PATCH  /api/users/:id/active': 'Activate or deactivate an account (user:manage)',
+        'PATCH  /api/users/:id/role': 'Change role (user:manage)',
+        'POST   /api/users/invitations': 'Invite a staff member with a role (user:manage)',
+        'GET    /api/users/invitations': 'List invitations (user:read)',
+        'DELETE /api/users/invitations/:id': 'Revoke an invitation (user:manage)'
+      },
+      roles: {
+        'GET    /api/roles/permissions': 'List grantable permissions (role:manage)',
+        'GET    /api/roles': 'List roles with user counts (user:read)',
+        'POST   /api/roles': 'Create role (role:manage)',
+        'PUT    /api/roles/:name': 'Update role permissions (role:manage)',
+        'DELETE /api/roles/:name': 'Delete unused role (role:manage)'
+      },
+      trash: {
+        'GET    /api/trash/products': 'List trashed products with purge dates (admin)',
+        'POST   /api/trash/products/:id/restore': 'Restore a trashed product (admin)',
+        'DELETE /api/trash/products/:id': 'Permanently delete product and images (admin)',
+        'GET    /api/trash/categories': 'List trashed categories (admin)',
+        'POST   /api/trash/categories/:id/restore': 'Restore a trashed category (admin)',
+        'DELETE /api/trash/categories/:id': 'Permanently delete category and image (admin)',
+        'POST   /api/trash/sweep': 'Purge trash past the retention period now (admin)'
+      },
+      audit: {
+        'GET    /api/audit': 'Staff changes; filter by actor, entity, entityId, action, field, date range (audit:read)'
+      },
+      account: {
+        'GET    /api/account/wishlist': 'Wishlist with stock and price-drop indicators (user)',
+        'POST   /api/account/wishlist': 'Add product to wishlist (user)',
+        'DELETE /api/account/wishlist/:productId': 'Remove product from wishlist (user)',
+        'GET    /api/account/recently-viewed': 'Recently viewed products (user)',
+        'DELETE /api/account/recently-viewed': 'Clear recently viewed history (user)'
+      },
       categories: {
         'GET    /api/categories': 'Get all categories (public)',
-        'GET    /api/category/:id': 'Get single category (public)',
-        'POST   /api/category': 'Create category (admin)',
-        'PUT    /api/category/:id': 'Update category (admin)',
-        'DELETE /api/category/:id': 'Delete category (admin)'
+        'GET    /api/categories/tree': 'Get nested category tree (public)',
+        'GET    /api/category/:id': 'Get single category with breadcrumbs and subcategories (public)',
+        'POST   /api/category': 'Create category, optionally under a parent (admin)',
+        'PUT    /api/category/:id': 'Update or move category (admin)',
+        'DELETE /api/category/:id': 'Move category to trash (admin)'
+      },
+      collections: {
+        'GET    /api/collections': 'List live collections (public)',
+        'GET    /api/collections/:slug': 'Get collection with its products (public)',
+        'GET    /api/collections/admin/all': 'List all collections (admin)',
+        'GET    /api/collections/admin/:id': 'Get collection for editing (admin)',
+        'POST   /api/collections/admin': 'Create manual or rule-based collection (admin)',
+        'PUT    /api/collections/admin/:id': 'Update or reorder collection (admin)',
+        'DELETE /api/collections/admin/:id': 'Delete collection (admin)'
       },
       products: {
-        'GET    /api/products': 'Get all products with filters (public)',
+        // Public product routes accept ?currency=USD (etc.) for converted prices
+        'GET    /api/products': 'Get published products with filters; preview=true&status= for staff (public)',
         'GET    /api/products/featured': 'Get featured products (public)',
-        'GET    /api/products/category/:id': 'Get products by category (public)',
-        'GET    /api/product/:id': 'Get single product (public)',
-        'GET    /api/products/search': 'Search products (public)',
+        'GET    /api/products/category/:id': 'Get products by category; ?includeDescendants=true adds subcategories (public)',
+        'GET    /api/product/:id': 'Get single product; staff can preview drafts (public)',
+        'GET    /api/products/search': 'Relevance-ranked search with facets (public)',
+        'GET    /api/products/suggest': 'Search autocomplete suggestions (public)',
         'POST   /api/product': 'Create product (admin)',
+        'POST   /api/products/import': 'Import products from CSV or JSON; dryRun and upsert by SKU (admin)',
+        'GET    /api/products/export': 'Stream the catalog as CSV or JSON (admin)',
+        'POST   /api/products/bulk': 'Bulk update products by ids or filter, with preview (admin)',
         'PUT    /api/product/:id': 'Update product (admin)',
-        'DELETE /api/product/:id': 'Delete product (admin)'
+        'DELETE /api/product/:id': 'Move product to trash (admin)',
+        'GET    /api/product/:id/revisions': 'List product revisions (admin)',
+        'GET    /api/product/:id/revisions/diff': 'Field-level diff between two revisions (admin)',
+        'GET    /api/product/:id/revisions/:revision': 'Get a revision snapshot (admin)',
+        'POST   /api/product/:id/revisions/:revision/rollback': 'Roll back to a revision (admin)',
+        'POST   /api/product/:id/sku/regenerate': 'Assign the next SKU from the category sequence (admin)',
+        'PUT    /api/product/:id/sku': 'Override a product SKU (admin)'
+      },
+      whatsapp: {
+        'POST /api/whatsapp/product/:id/whatsapp': 'Get a time-limited WhatsApp inquiry link, routed to an available agent (public)',
+        'GET  /api/whatsapp/redirect/:token': 'Redirect to WhatsApp chat (public)',
+        'POST /api/whatsapp/admin/preview': 'Render a message template against a product (admin)',
+        'GET  /api/whatsapp/admin/inquiries': 'Recent inquiry log (admin)',
+        'GET  /api/whatsapp/admin/inquiries/analytics': 'Inquiries per day/category/agent/product and inquiries per lifetime view (admin)',
+        'GET  /api/whatsapp/admin/inquiries/export': 'Export inquiries as CSV (admin)'
+      },
+      agents: {
+        'GET    /api/agents': 'WhatsApp sales agents and who is on shift (admin)',
+        'POST   /api/agents': 'Add agent with working hours, languages and categories (admin)',
+        'PUT    /api/agents/:id': 'Update agent (admin)',
+        'DELETE /api/agents/:id': 'Remove agent (admin)'
+      },
+      currencies: {
+        'GET    /api/currencies': 'Supported currencies and current rates (public)',
+        'GET    /api/currencies/rates/history': 'Exchange rate history (admin)',
+        'POST   /api/currencies/rates': 'Set a new exchange rate (admin)'
+      },
+      promotions: {
+        'GET    /api/promotions/campaigns/active': 'Sale campaigns running now (public)',
+        'POST   /api/promotions/coupons/validate': 'Check a coupon code against a subtotal (public)',
+        'GET    /api/promotions/coupons': 'List coupons (admin)',
+        'POST   /api/promotions/coupons': 'Create coupon (admin)',
+        'PUT    /api/promotions/coupons/:id': 'Update coupon (admin)',
+        'DELETE /api/promotions/coupons/:id': 'Delete coupon (admin)',
+        'GET    /api/promotions/campaigns': 'List all sale campaigns (admin)',
+        'POST   /api/promotions/campaigns': 'Create sale campaign for categories, tags or collections (admin)',
+        'PUT    /api/promotions/campaigns/:id': 'Update sale campaign (admin)',
+        'DELETE /api/promotions/campaigns/:id': 'Delete sale campaign (admin)'
+      },
+      orders: {
+        'GET    /api/orders': 'List orders with filters (admin)',
+        'GET    /api/orders/:id': 'Get single order (admin)',
+        'POST   /api/orders': 'Create order manually or from an inquiry, with optional couponCode (admin)',
+        'PUT    /api/orders/:id': 'Update order contact, shipping and notes (admin)',
+        'PATCH  /api/orders/:id/status': 'Change order status, reserving stock on confirm (admin)'
+      },
+      inventory: {
+        'GET  /api/inventory': 'Variant stock overview (admin)',
+        'GET  /api/inventory/movements': 'Stock movement history (admin)',
+        'POST /api/inventory/product/:id/variants/:variantId/adjust': 'Adjust variant stock with a reason code (admin)'
+      },
+      reviews: {
+        'GET    /api/reviews/product/:productId': 'Approved reviews and rating breakdown (public)',
+        'POST   /api/reviews/product/:productId': 'Write a review (user)',
+        'GET    /api/reviews/me': 'List own reviews (user)',
+        'PUT    /api/reviews/:id': 'Edit own review (user)',
+        'DELETE /api/reviews/:id': 'Delete own review (user) or any review (admin)',
+        'GET    /api/reviews/admin/queue': 'Review moderation queue (admin)',
+        'PATCH  /api/reviews/admin/:id/moderate': 'Approve, reject or flag a review (admin)',
+        'POST   /api/upload/review': 'Upload review photos (user)'
       }
     }
   });
@@ -197,9 +365,15 @@ app.use((req, res) => {
 
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('✅ Connected to MongoDB');
     console.log('   Database:', mongoose.connection.name);
+    await Role.ensureDefaults();
+    await User.backfillEmailVerified();
+    await ExchangeRate.loadRates();
+    await Product.syncBasePrices({ 'basePrice.effective': { $exists: false } });
+    startTrashSweeper();
+    startCampaignRefresher();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -6,6 +6,17 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Folder customer review photos are uploaded to, with a subfolder per
+// user; reviews only accept photos from the author's own subfolder
+export const REVIEW_PHOTO_FOLDER = 'crochet-catalog/reviews';
+
+export const reviewPhotoFolder = (userId) => `${REVIEW_PHOTO_FOLDER}/${userId}`;
+
+// Delivery URL for a stored image, built from its public_id
+export function cloudinaryUrl(public_id) {
+  return cloudinary.url(public_id, { secure: true });
+}
+
 export async function deleteFromCloudinary(public_id) {
   try {
     await cloudinary.uploader.destroy(public_id);
@@ -23,3 +34,30 @@ export async function deleteMultipleFromCloudinary(publicIds) {
     console.error('❌ Error deleting multiple images:', error.message);
   }
 }
+
+// True if the image is still stored in Cloudinary
+export async function cloudinaryImageExists(public_id) {
+  try {
+    await cloudinary.api.resource(public_id);
+    return true;
+  } catch (error) {
+    if ((error.error?.http_code || error.http_code) === 404) return false;
+    throw error;
+  }
+}
+
+export function uploadBufferToCloudinary(buffer, folder = 'crochet-catalog') {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        transformation: [{ width: 1000, height: 1000, crop: 'limit', quality: 'auto' }],
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve({ url: result.secure_url, public_id: result.public_id });
+      }
+    );
+    uploadStream.end(buffer);
+  });
+}
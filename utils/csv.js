@@ -0,0 +1,82 @@
+// utils/csv.js
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a single value per RFC 4180 (commas, quotes and newlines force
+// quoting). Text that looks like a formula gets a leading ' so spreadsheets
+// show it as text; numbers are left alone so negatives stay numeric.
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Undo the ' added by escapeCsvValue, for files exported here and read back
+export function unescapeCsvValue(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// columns: [{ header: 'Name', value: (row) => row.name }]
+export function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+export function toCsv(columns, rows) {
+  let csv = toCsvRow(columns.map((col) => col.header));
+  for (const row of rows) {
+    csv += toCsvRow(columns.map((col) => col.value(row)));
+  }
+  return csv;
+}
+
+// Parse RFC 4180 text into objects keyed by the header row. Handles quoted
+// fields with commas, doubled quotes and line breaks, and a leading BOM.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  const keys = header.map((h) => h.trim());
+  return records.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, values[i] ?? '']))
+  );
+}
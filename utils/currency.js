@@ -0,0 +1,114 @@
+// utils/currency.js
+// Currency helpers and the in-memory exchange rate table. Rates are kept
+// here so synchronous code (product virtuals, sale pricing) can convert
+// without a query; ExchangeRate.loadRates() fills the table.
+
+// Prices without a currency, and all coupon and campaign amounts, are in
+// the base currency
+export const BASE_CURRENCY = 'INR';
+
+// Locale used to format each currency, e.g. ₹1,23,456 vs $1,234.56
+export const CURRENCY_LOCALES = {
+  INR: 'en-IN',
+  USD: 'en-US',
+  EUR: 'en-IE',
+  GBP: 'en-GB',
+  AED: 'en-AE',
+  CAD: 'en-CA',
+  AUD: 'en-AU',
+  SGD: 'en-SG'
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_LOCALES);
+
+// Units of the base currency one unit of each currency buys
+let exchangeRates = new Map([[BASE_CURRENCY, 1]]);
+
+export function setExchangeRates(rates) {
+  exchangeRates = new Map([...rates, [BASE_CURRENCY, 1]]);
+}
+
+export function getExchangeRate(currency) {
+  return exchangeRates.get(currency);
+}
+
+// Aggregation expression for the current rate of a document's currency
+// (units of the base currency per unit), or null when it has no rate yet.
+// Built from the in-memory table, so load the rates first.
+export function exchangeRateExpression(currencyPath = '$currency') {
+  return {
+    $switch: {
+      branches: [...exchangeRates].map(([currency, rate]) => ({
+        case: { $eq: [currencyPath, currency] },
+        then: rate
+      })),
+      // Products saved before currencies existed are in the base currency
+      default: { $cond: [{ $ifNull: [currencyPath, false] }, null, 1] }
+    }
+  };
+}
+
+export const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+export function normalizeCurrency(currency) {
+  return currency ? String(currency).trim().toUpperCase() : BASE_CURRENCY;
+}
+
+// Minor units of a currency (2 for most, 0 for e.g. JPY)
+const currencyDecimals = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+export function roundMoney(amount, currency = BASE_CURRENCY) {
+  const factor = 10 ** currencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+// Convert between two currencies through the base currency. Returns null
+// when a rate is missing, so callers can decide how to fail.
+export function convertAmount(amount, from = BASE_CURRENCY, to = BASE_CURRENCY) {
+  if (amount === null || amount === undefined) return amount;
+  if (from === to) return amount;
+  const fromRate = getExchangeRate(from);
+  const toRate = getExchangeRate(to);
+  if (!fromRate || !toRate) return null;
+  return roundMoney(amount * fromRate / toRate, to);
+}
+
+// Price as text for messages, e.g. "₹1,299" or "$15.60". Whole amounts
+// are shown without decimals.
+export function formatPrice(amount, currency = BASE_CURRENCY, locale = CURRENCY_LOCALES[currency]) {
+  return new Intl.NumberFormat(locale || 'en', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : undefined
+  }).format(amount);
+}
+
+// Copy of a serialized product with its prices in another currency. The
+// product's own currency is kept as `priceConversion.from`; the WhatsApp
+// message stays in it, since that is what the seller quotes. Products
+// whose currency has no rate are returned unchanged.
+export function convertProductPrices(product, to) {
+  const from = product.currency || BASE_CURRENCY;
+  if (from === to || !product.price) return product;
+  if (!getExchangeRate(from) || !getExchangeRate(to)) return product;
+
+  const convert = (amount) => convertAmount(amount, from, to);
+  const converted = {
+    ...product,
+    currency: to,
+    price: {
+      ...product.price,
+      original: convert(product.price.original),
+      discounted: convert(product.price.discounted)
+    },
+    priceConversion: {
+      from,
+      to,
+      rate: Number((getExchangeRate(from) / getExchangeRate(to)).toPrecision(6))
+    }
+  };
+  if (product.effectivePrice !== undefined) converted.effectivePrice = convert(product.effectivePrice);
+  if (product.sale) converted.sale = { ...product.sale, price: convert(product.sale.price) };
+  return converted;
+}
@@ -0,0 +1,50 @@
+// utils/diff.js
+
+// Bookkeeping fields that change on every save and say nothing about the
+// edit; basePrice is derived from price, currency and running sales
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'basePrice']);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Plain JSON copy of a document: ObjectIds become strings, Maps become
+// objects, virtuals are left out
+export function toSnapshot(doc) {
+  if (!doc) return {};
+  const data = typeof doc.toObject === 'function'
+    ? doc.toObject({ virtuals: false, depopulate: true, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(data));
+}
+
+// Flatten nested objects into dot paths ('price.regular'); arrays are
+// compared as a whole so a reordered variant list reads as one change
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (!prefix && IGNORED_FIELDS.has(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  }
+  return out;
+};
+
+// Field-level changes between two snapshots as [{ field, before, after }]
+export function diffSnapshots(before, after) {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  for (const field of [...fields].sort()) {
+    const a = flatBefore[field];
+    const b = flatAfter[field];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, before: a, after: b });
+    }
+  }
+  return changes;
+}
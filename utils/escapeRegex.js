@@ -0,0 +1,6 @@
+// utils/escapeRegex.js
+
+// Escape user input before building a RegExp from it
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,8 @@
+// utils/hashToken.js
+import crypto from 'crypto';
+
+// Tokens we hand out (reset links, refresh tokens) are stored as SHA-256
+// hashes so a database leak doesn't leak usable tokens
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
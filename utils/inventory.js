@@ -0,0 +1,255 @@
+// utils/inventory.js
+import mongoose from 'mongoose';
+import { Product } from '../models/model.js';
+import StockMovement from '../models/stockMovementModel.js';
+
+const inventoryError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const variantLabel = (variant) => `${variant.name}: ${variant.value}`;
+
+// Update pipeline that applies `change` to a single variant and re-derives
+// variant.available and product.inStock in the same atomic write
+const stockUpdatePipeline = (variantId, change) => [
+  {
+    $set: {
+      variants: {
+        $map: {
+          input: '$variants',
+          as: 'v',
+          in: {
+            $cond: [
+              { $eq: ['$$v._id', variantId] },
+              {
+                $mergeObjects: ['$$v', {
+                  stock: { $add: [{ $ifNull: ['$$v.stock', 0] }, change] },
+                  available: { $gt: [{ $add: [{ $ifNull: ['$$v.stock', 0] }, change] }, 0] }
+                }]
+              },
+              '$$v'
+            ]
+          }
+        }
+      }
+    }
+  },
+  {
+    $set: {
+      inStock: {
+        $or: [
+          { $eq: [{ $size: '$variants' }, 0] },
+          {
+            $anyElementTrue: [{
+              $map: { input: '$variants', as: 'v', in: { $gt: ['$$v.stock', 0] } }
+            }]
+          }
+        ]
+      }
+    }
+  }
+];
+
+// Atomically change one variant's stock and append a movement record.
+// Decrements only match while enough stock remains, so concurrent
+// reservations can never take a variant below zero. Pass expectedStock
+// to apply the change only if nobody else touched the stock meanwhile, and
+// withDeleted to reach products in the trash.
+export async function adjustVariantStock({
+  productId,
+  variantId,
+  change,
+  expectedStock,
+  reason,
+  note,
+  order,
+  actor,
+  withDeleted = false
+}) {
+  if (!mongoose.isValidObjectId(productId) || !mongoose.isValidObjectId(variantId)) {
+    throw inventoryError('Invalid product or variant id', 400);
+  }
+  if (!Number.isInteger(change) || change === 0) {
+    throw inventoryError('Stock change must be a non-zero integer', 400);
+  }
+
+  const vid = new mongoose.Types.ObjectId(String(variantId));
+  const variantMatch = { _id: vid };
+  if (expectedStock !== undefined) {
+    variantMatch.stock = expectedStock;
+  } else if (change < 0) {
+    variantMatch.stock = { $gte: -change };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, variants: { $elemMatch: variantMatch } },
+    stockUpdatePipeline(vid, change),
+    { new: true, withDeleted }
+  );
+
+  if (!product) {
+    const existing = await Product.findOne({ _id: productId, 'variants._id': vid })
+      .select('name variants')
+      .setOptions({ withDeleted });
+    if (!existing) {
+      throw inventoryError('Product variant not found', 404);
+    }
+    const variant = existing.variants.id(vid);
+    if (expectedStock !== undefined) {
+      throw inventoryError('Stock was changed by someone else, please retry', 409);
+    }
+    throw inventoryError(
+      `Insufficient stock for ${existing.name} (${variantLabel(variant)}): ${variant.stock} left`,
+      409
+    );
+  }
+
+  const variant = product.variants.id(vid);
+  const movement = await StockMovement.create({
+    product: product._id,
+    variant: vid,
+    variantLabel: variantLabel(variant),
+    change,
+    stockBefore: variant.stock - change,
+    stockAfter: variant.stock,
+    reason,
+    note,
+    order,
+    actor
+  });
+
+  return { product, variant, movement };
+}
+
+// Set a variant to an absolute stock level (e.g. after a physical count)
+export async function setVariantStock({ productId, variantId, stock, reason, note, actor }) {
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw inventoryError('Stock must be a non-negative integer', 400);
+  }
+
+  const product = await Product.findOne({ _id: productId, 'variants._id': variantId })
+    .select('variants');
+  if (!product) {
+    throw inventoryError('Product variant not found', 404);
+  }
+
+  const current = product.variants.id(variantId).stock;
+  if (current === stock) {
+    throw inventoryError('Stock is already at that level', 400);
+  }
+
+  return adjustVariantStock({
+    productId,
+    variantId,
+    change: stock - current,
+    expectedStock: current,
+    reason,
+    note,
+    actor
+  });
+}
+
+// Record movements for stock edited directly on the product document
+// (create/update through the catalog routes). previousStock maps
+// variant id -> stock before the save; new variants are logged as 'initial'.
+export async function recordVariantStockEdits(product, previousStock, actor) {
+  const movements = [];
+
+  for (const variant of product.variants) {
+    const before = previousStock.get(variant._id.toString());
+    const stockBefore = before ?? 0;
+    if (variant.stock === stockBefore) continue;
+
+    movements.push({
+      product: product._id,
+      variant: variant._id,
+      variantLabel: variantLabel(variant),
+      change: variant.stock - stockBefore,
+      stockBefore,
+      stockAfter: variant.stock,
+      reason: before === undefined ? 'initial' : 'adjustment',
+      note: 'Edited on product',
+      actor
+    });
+  }
+
+  if (movements.length > 0) {
+    await StockMovement.insertMany(movements);
+  }
+}
+
+// Reserve stock for every tracked line item of an order. Items are
+// reserved one by one; if any fails, the ones already taken are put back.
+// Products without variants aren't stock-tracked and are skipped.
+export async function reserveOrderStock(order, actor) {
+  const products = await Product.find({ _id: { $in: order.items.map((i) => i.product) } })
+    .select('name variants');
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const reserved = [];
+  try {
+    for (const item of order.items) {
+      const product = productMap.get(item.product.toString());
+      if (!product || product.variants.length === 0) continue;
+
+      if (!item.variant) {
+        throw inventoryError(`Select a variant for ${item.name} before confirming`, 400);
+      }
+
+      await adjustVariantStock({
+        productId: item.product,
+        variantId: item.variant,
+        change: -item.quantity,
+        reason: 'order-reserved',
+        note: `Order ${order.orderNumber}`,
+        order: order._id,
+        actor
+      });
+      reserved.push(item);
+    }
+  } catch (error) {
+    for (const item of reserved) {
+      await adjustVariantStock({
+        productId: item.product,
+        variantId: item.variant,
+        change: item.quantity,
+        reason: 'order-released',
+        note: `Rolled back failed reservation for order ${order.orderNumber}`,
+        order: order._id,
+        actor
+      });
+    }
+    throw error;
+  }
+}
+
+// Return whatever an order still holds, based on its movement history.
+// Trashed products get their stock back too; variants that no longer exist
+// are skipped, so a cancel always completes.
+export async function releaseOrderStock(order, actor) {
+  const held = await StockMovement.aggregate([
+    { $match: { order: order._id } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        net: { $sum: '$change' }
+      }
+    },
+    { $match: { net: { $lt: 0 } } }
+  ]);
+
+  for (const { _id, net } of held) {
+    try {
+      await adjustVariantStock({
+        productId: _id.product,
+        variantId: _id.variant,
+        change: -net,
+        reason: 'order-released',
+        note: `Order ${order.orderNumber} cancelled`,
+        order: order._id,
+        actor,
+        withDeleted: true
+      });
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+}
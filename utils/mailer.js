@@ -0,0 +1,123 @@
+// utils/mailer.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// A transport is any object with `async send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT (console | file | smtp) or plug in your own
+// with setMailTransport().
+const transports = {
+  // Prints mail to stdout; the default outside production
+  console: {
+    async send({ to, subject, text }) {
+      console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+    }
+  },
+
+  // Writes each mail to logs/mail/ so links can be clicked during development
+  file: {
+    async send({ to, subject, text, html }) {
+      const dir = path.join(__dirname, '..', 'logs', 'mail');
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${to.replace(/[^a-zA-Z0-9@.]/g, '_')}.txt`;
+      const body = `To: ${to}\nSubject: ${subject}\n\n${text}\n${html ? `\n---\n${html}\n` : ''}`;
+      await fs.promises.writeFile(path.join(dir, name), body);
+    }
+  },
+
+  smtp: {
+    transporter: null,
+    async send({ to, subject, text, html }) {
+      if (!this.transporter) {
+        const nodemailer = (await import('nodemailer')).default;
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+      await this.transporter.sendMail({
+        from: process.env.MAIL_FROM || 'no-reply@localhost',
+        to,
+        subject,
+        text,
+        html
+      });
+    }
+  }
+};
+
+let customTransport = null;
+
+export function setMailTransport(transport) {
+  customTransport = transport;
+}
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  return transport;
+};
+
+export async function sendMail(message) {
+  await getTransport().send(message);
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+// Base URL of the storefront that hosts the verify/reset pages
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0];
+
+export async function sendVerificationEmail(user, token) {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  });
+}
+
+export async function sendPasswordResetEmail(user, token) {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can be used once. If you didn't ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset your password. If it was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour and can be used once. If you didn't ask for this, ignore this email.</p>`
+  });
+}
+
+export async function sendEnrollmentEmail(user, token, expiresAt) {
+  const link = `${frontendUrl()}/enroll-2fa?token=${token}`;
+  const expires = expiresAt.toUTCString();
+  await sendMail({
+    to: user.email,
+    subject: 'Set up two-factor authentication',
+    text: `Hi ${user.username},\n\nStaff accounts need two-factor authentication before they can sign in. Set it up here:\n${link}\n\nThe link expires on ${expires}.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Staff accounts need two-factor authentication before they can sign in.</p><p><a href="${link}">Set up two-factor authentication</a></p><p>The link expires on ${expires}.</p>`
+  });
+}
+
+export async function sendInvitationEmail(invitation, inviter, token) {
+  const link = `${frontendUrl()}/accept-invite?token=${token}`;
+  const expires = invitation.expiresAt.toUTCString();
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to manage the catalog',
+    text: `Hi,\n\n${inviter.username} has invited you to join the catalog team as ${invitation.role}.\nCreate your account here:\n${link}\n\nThe link can be used once and expires on ${expires}.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviter.username)} has invited you to join the catalog team as ${escapeHtml(invitation.role)}.</p><p><a href="${link}">Create your account</a></p><p>The link can be used once and expires on ${expires}.</p>`
+  });
+}
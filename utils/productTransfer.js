@@ -0,0 +1,200 @@
+// utils/productTransfer.js
+import { Category, Product } from '../models/model.js';
+import { toSnapshot } from './diff.js';
+import { unescapeCsvValue } from './csv.js';
+
+// Most rows a single import may contain
+export const MAX_IMPORT_ROWS = 1000;
+
+// Fields an import may set, in the shape the JSON format uses
+const TRANSFER_FIELDS = [
+  'name', 'description', 'price', 'currency', 'images', 'variants', 'specifications', 'tags',
+  'whatsappNumber', 'whatsappMessage', 'status', 'publishAt', 'unpublishAt',
+  'isActive', 'isFeatured', 'sortOrder'
+];
+
+// Plain object used by both formats; the category is referenced by slug
+export function toTransferObject(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    category: product.category?.slug || null,
+    price: {
+      original: product.price?.original,
+      discounted: product.price?.discounted ?? null
+    },
+    currency: product.currency,
+    tags: product.tags || [],
+    images: (product.images || []).map(({ url, public_id, alt }) => ({ url, public_id, alt })),
+    variants: (product.variants || []).map(({ type, name, value, stock }) => ({ type, name, value, stock })),
+    specifications: Object.fromEntries(product.specifications || []),
+    whatsappNumber: product.whatsappNumber,
+    whatsappMessage: product.whatsappMessage,
+    status: product.status,
+    publishAt: product.publishAt,
+    unpublishAt: product.unpublishAt,
+    isActive: product.isActive,
+    isFeatured: product.isFeatured,
+    sortOrder: product.sortOrder
+  };
+}
+
+// CSV layout shared by import and export. Images, variants and
+// specifications are JSON inside a single cell; tags are |-separated.
+const json = (value) => JSON.stringify(value);
+export const PRODUCT_CSV_COLUMNS = [
+  { header: 'sku', value: (p) => p.sku },
+  { header: 'name', value: (p) => p.name },
+  { header: 'description', value: (p) => p.description },
+  { header: 'category', value: (p) => p.category },
+  { header: 'priceOriginal', value: (p) => p.price.original },
+  { header: 'priceDiscounted', value: (p) => p.price.discounted },
+  { header: 'currency', value: (p) => p.currency },
+  { header: 'tags', value: (p) => p.tags.join('|') },
+  { header: 'images', value: (p) => json(p.images) },
+  { header: 'variants', value: (p) => json(p.variants) },
+  { header: 'specifications', value: (p) => json(p.specifications) },
+  { header: 'whatsappNumber', value: (p) => p.whatsappNumber },
+  { header: 'whatsappMessage', value: (p) => p.whatsappMessage },
+  { header: 'status', value: (p) => p.status },
+  { header: 'publishAt', value: (p) => p.publishAt },
+  { header: 'unpublishAt', value: (p) => p.unpublishAt },
+  { header: 'isActive', value: (p) => p.isActive },
+  { header: 'isFeatured', value: (p) => p.isFeatured },
+  { header: 'sortOrder', value: (p) => p.sortOrder }
+];
+
+// Turn a parsed CSV record into a transfer object. Empty cells are left
+// out, so an upsert only touches the columns that were filled in. The '
+// the export puts before formula-like text is stripped again.
+export function fromCsvRecord(record) {
+  const item = {};
+  const errors = [];
+  const cell = (header) => unescapeCsvValue((record[header] ?? '').trim());
+
+  for (const header of ['sku', 'name', 'description', 'category', 'currency', 'whatsappNumber',
+    'whatsappMessage', 'status', 'publishAt', 'unpublishAt', 'sortOrder']) {
+    if (cell(header)) item[header] = cell(header);
+  }
+  for (const header of ['isActive', 'isFeatured']) {
+    if (cell(header)) item[header] = cell(header).toLowerCase() === 'true';
+  }
+
+  if (cell('priceOriginal') || cell('priceDiscounted')) {
+    item.price = {};
+    if (cell('priceOriginal')) item.price.original = Number(cell('priceOriginal'));
+    if (cell('priceDiscounted')) item.price.discounted = Number(cell('priceDiscounted'));
+  }
+
+  if (cell('tags')) item.tags = cell('tags').split('|').map((t) => t.trim()).filter(Boolean);
+
+  for (const header of ['images', 'variants', 'specifications']) {
+    if (!cell(header)) continue;
+    try {
+      item[header] = JSON.parse(cell(header));
+    } catch {
+      errors.push({ field: header, message: `${header} must be valid JSON` });
+    }
+  }
+
+  return { item, errors };
+}
+
+// Keep variant ids (which orders and stock movements point at) when an
+// imported variant matches an existing one by type and value
+const mergeVariants = (existing, imported) => imported.map((variant) => {
+  const match = existing.find((v) =>
+    v.type === variant.type &&
+    String(v.value).toLowerCase() === String(variant.value).toLowerCase()
+  );
+  return match ? { ...variant, _id: match._id, stock: variant.stock ?? match.stock } : variant;
+});
+
+const validationErrors = (error) => {
+  if (error.name !== 'ValidationError') return [{ field: null, message: error.message }];
+  return Object.values(error.errors).map((e) => ({ field: e.path, message: e.message }));
+};
+
+// Resolve categories and existing SKUs, build a Product document per item
+// and validate it. Nothing is written; rows with an empty `errors` array
+// are ready to save.
+export async function prepareImport(entries, { upsert = false } = {}) {
+  const slugs = [...new Set(entries.map(({ item }) => item.category).filter(Boolean))];
+  const skus = [...new Set(entries.map(({ item }) => item.sku).filter(Boolean))];
+
+  const [categories, existingProducts] = await Promise.all([
+    Category.find({ slug: { $in: slugs.map(String) } }).select('slug'),
+    Product.find({ sku: { $in: skus.map(String) } }).setOptions({ withDeleted: true })
+  ]);
+  const categoryBySlug = new Map(categories.map((c) => [c.slug, c._id]));
+  const productBySku = new Map(existingProducts.map((p) => [p.sku, p]));
+  const seenSkus = new Set();
+
+  const rows = [];
+  for (const [index, { item, errors: parseErrors = [] }] of entries.entries()) {
+    const errors = [...parseErrors];
+    const sku = item.sku ? String(item.sku).trim() : null;
+    let existing = sku ? productBySku.get(sku) : null;
+
+    if (sku) {
+      if (seenSkus.has(sku)) errors.push({ field: 'sku', message: 'Duplicate SKU in this import' });
+      seenSkus.add(sku);
+    }
+
+    if (existing?.deletedAt) {
+      errors.push({ field: 'sku', message: 'SKU belongs to a product in the trash' });
+      existing = null;
+    } else if (existing && !upsert) {
+      errors.push({ field: 'sku', message: 'SKU already exists (enable upsert to update it)' });
+      existing = null;
+    }
+
+    const product = existing || new Product({ sku: sku || undefined });
+    const before = existing ? toSnapshot(existing) : null;
+    const previousStock = new Map(product.variants.map((v) => [v._id.toString(), v.stock]));
+
+    if (item.category !== undefined) {
+      const categoryId = categoryBySlug.get(String(item.category));
+      if (categoryId) {
+        product.category = categoryId;
+      } else {
+        errors.push({ field: 'category', message: `Unknown category slug: ${item.category}` });
+      }
+    }
+
+    try {
+      for (const field of TRANSFER_FIELDS) {
+        if (item[field] === undefined) continue;
+        if (field === 'variants' && Array.isArray(item.variants)) {
+          product.variants = mergeVariants(product.variants, item.variants);
+        } else if (field === 'price' && item.price && typeof item.price === 'object') {
+          for (const [key, value] of Object.entries(item.price)) product.set(`price.${key}`, value);
+        } else {
+          product.set(field, item[field]);
+        }
+      }
+
+      if (product.images.length === 0) {
+        errors.push({ field: 'images', message: 'At least one product image is required' });
+      }
+
+      await product.validate();
+    } catch (error) {
+      errors.push(...validationErrors(error));
+    }
+
+    rows.push({
+      row: index + 1,
+      sku,
+      name: product.name,
+      action: existing ? 'update' : 'create',
+      errors,
+      product,
+      before,
+      previousStock
+    });
+  }
+
+  return rows;
+}
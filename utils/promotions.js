@@ -0,0 +1,24 @@
+// utils/promotions.js
+import Campaign from '../models/campaignModel.js';
+
+// Campaign start and end times are checked on every price lookup; the
+// refresh only has to pick up new campaigns and changes to the categories
+// and collections they target
+const CAMPAIGN_REFRESH_INTERVAL = 60 * 1000;
+
+// Reload the sale campaign cache. Errors are logged, not thrown, so a
+// failed refresh keeps serving the previous prices.
+export async function refreshCampaignCache() {
+  try {
+    return await Campaign.refreshActive();
+  } catch (error) {
+    console.error('Campaign refresh error:', error.message);
+    return null;
+  }
+}
+
+// Load campaigns now and then every minute
+export function startCampaignRefresher() {
+  refreshCampaignCache();
+  setInterval(refreshCampaignCache, CAMPAIGN_REFRESH_INTERVAL);
+}
@@ -0,0 +1,106 @@
+// utils/salePricing.js
+// In-memory view of the sale campaigns that are running or about to run.
+// Product virtuals are synchronous, so they read from here instead of the
+// database; Campaign.refreshActive() keeps it current.
+
+import mongoose from 'mongoose';
+import { BASE_CURRENCY, convertAmount } from './currency.js';
+
+let activeCampaigns = [];
+
+export const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Price after a percentage or fixed discount, never below zero. Fixed
+// amounts are in the base currency and converted to the price's currency;
+// null when no exchange rate is available for that.
+export function applyDiscount(price, { discountType, value }, currency = BASE_CURRENCY) {
+  if (discountType === 'percentage') {
+    return Math.max(0, roundPrice(price * (1 - value / 100)));
+  }
+  const amount = convertAmount(value, BASE_CURRENCY, currency);
+  if (amount === null) return null;
+  return Math.max(0, roundPrice(price - amount));
+}
+
+// Amount a coupon takes off an order subtotal. Percentage coupons may be
+// capped by maxDiscount; nothing takes off more than the subtotal.
+export function discountAmount(subtotal, { discountType, value, maxDiscount }) {
+  let amount = discountType === 'percentage' ? subtotal * value / 100 : value;
+  if (discountType === 'percentage' && maxDiscount) amount = Math.min(amount, maxDiscount);
+  return roundPrice(Math.min(amount, subtotal));
+}
+
+// campaigns: [{ id, name, discountType, value, startsAt, endsAt,
+//   categoryIds: Set, tags: Set, productIds: Set }]
+export function setActiveCampaigns(campaigns) {
+  activeCampaigns = campaigns;
+}
+
+export function getActiveCampaigns(now = new Date()) {
+  return activeCampaigns.filter((c) => c.startsAt <= now && c.endsAt > now);
+}
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const campaignMatches = (campaign, product) => {
+  if (campaign.productIds.has(idOf(product._id))) return true;
+  if (product.category && campaign.categoryIds.has(idOf(product.category))) return true;
+  return (product.tags || []).some((tag) => campaign.tags.has(tag));
+};
+
+// Best running campaign price for a product (document or plain object with
+// price, category and tags), or null when no campaign beats the regular
+// price. Campaigns don't stack with each other or with price.discounted;
+// the lowest price wins.
+export function findSale(product, now = new Date()) {
+  const original = product.price?.original;
+  if (!original) return null;
+
+  const regular = product.price.discounted || original;
+  let best = null;
+  for (const campaign of getActiveCampaigns(now)) {
+    if (!campaignMatches(campaign, product)) continue;
+    const price = applyDiscount(original, campaign, product.currency || BASE_CURRENCY);
+    if (price !== null && price < regular && (!best || price < best.price)) {
+      best = { campaign, price };
+    }
+  }
+
+  return best && {
+    price: best.price,
+    campaign: { id: best.campaign.id, name: best.campaign.name, endsAt: best.campaign.endsAt }
+  };
+}
+
+// Price a customer pays right now
+export function effectivePriceOf(product, now = new Date()) {
+  return findSale(product, now)?.price ?? (product.price.discounted || product.price.original);
+}
+
+// effectivePriceOf as an aggregation expression over basePrice, i.e. in
+// the base currency. Uses the campaigns in the cache at call time.
+export function effectiveBasePriceExpression(now = new Date()) {
+  const original = '$basePrice.original';
+  const regular = { $cond: [{ $gt: ['$basePrice.discounted', 0] }, '$basePrice.discounted', original] };
+
+  const salePrices = getActiveCampaigns(now).map((campaign) => ({
+    $cond: [
+      {
+        $or: [
+          { $in: ['$_id', [...campaign.productIds].map((id) => new mongoose.Types.ObjectId(id))] },
+          { $in: ['$category', [...campaign.categoryIds].map((id) => new mongoose.Types.ObjectId(id))] },
+          { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, [...campaign.tags]] } }, 0] }
+        ]
+      },
+      {
+        $max: [0, campaign.discountType === 'percentage'
+          ? { $multiply: [original, 1 - campaign.value / 100] }
+          : { $subtract: [original, campaign.value] }]
+      },
+      null
+    ]
+  }));
+
+  // $min skips the nulls of campaigns that don't apply
+  return salePrices.length > 0 ? { $min: [regular, ...salePrices] } : regular;
+}
@@ -0,0 +1,111 @@
+// utils/search.js
+import { Product } from '../models/model.js';
+
+// Upper bounds (exclusive) of the price facet buckets, in the base currency
+export const PRICE_BUCKET_BOUNDARIES = [0, 250, 500, 1000, 2000, 5000];
+
+const VOCABULARY_TTL = 5 * 60 * 1000; // 5 minutes
+let vocabularyCache = { words: null, expiresAt: 0 };
+
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0);
+}
+
+// Classic edit distance, bailing out early once it exceeds maxDistance
+export function levenshtein(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Words from active product names and tags, used for typo correction
+// and autocomplete. Rebuilt at most every VOCABULARY_TTL.
+export async function getSearchVocabulary() {
+  if (vocabularyCache.words && vocabularyCache.expiresAt > Date.now()) {
+    return vocabularyCache.words;
+  }
+
+  const products = await Product.find(Product.publicFilter()).select('name tags').lean();
+  const counts = new Map();
+  for (const product of products) {
+    for (const word of [...tokenize(product.name), ...(product.tags || []).flatMap(tokenize)]) {
+      if (word.length < 3) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  // Most frequent words first, so ties in corrections favour common terms
+  const words = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+  vocabularyCache = { words, expiresAt: Date.now() + VOCABULARY_TTL };
+  return words;
+}
+
+// Short words tolerate one typo, longer ones two
+const allowedDistance = (word) => (word.length <= 5 ? 1 : 2);
+
+// Replace unknown words with their closest vocabulary match.
+// Returns null when nothing could be corrected.
+export async function correctQuery(query) {
+  const vocabulary = await getSearchVocabulary();
+  const known = new Set(vocabulary);
+  let changed = false;
+
+  const corrected = tokenize(query).map((term) => {
+    if (term.length < 3 || known.has(term)) return term;
+
+    const maxDistance = allowedDistance(term);
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const word of vocabulary) {
+      const distance = levenshtein(term, word, maxDistance);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+        if (distance === 1) break;
+      }
+    }
+
+    if (best) {
+      changed = true;
+      return best;
+    }
+    return term;
+  });
+
+  return changed ? corrected.join(' ') : null;
+}
+
+// Vocabulary words starting with the last typed word, for autocomplete
+export async function suggestTerms(prefix, limit = 5) {
+  const terms = tokenize(prefix);
+  const last = terms[terms.length - 1];
+  if (!last) return [];
+
+  const vocabulary = await getSearchVocabulary();
+  const lead = terms.slice(0, -1).join(' ');
+  let matches = vocabulary.filter((word) => word.startsWith(last) && word !== last);
+
+  // Nothing starts with it: fall back to words within typo distance
+  if (matches.length === 0 && last.length >= 3) {
+    matches = vocabulary.filter(
+      (word) => levenshtein(last, word.slice(0, last.length), 1) <= 1
+    );
+  }
+
+  return matches.slice(0, limit).map((word) => (lead ? `${lead} ${word}` : word));
+}
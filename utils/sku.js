@@ -0,0 +1,54 @@
+// utils/sku.js
+import { escapeRegex } from './escapeRegex.js';
+
+// Categories without their own prefix keep the original PROD0001 style
+export const DEFAULT_SKU_PREFIX = 'PROD';
+export const DEFAULT_SKU_FORMAT = '{prefix}{seq:4}';
+// Used when a category sets a prefix but no format, e.g. AMG-0042
+export const CATEGORY_SKU_FORMAT = '{prefix}-{seq:4}';
+
+// What a stored or hand-entered SKU may look like
+export const SKU_REGEX = /^[A-Z0-9][A-Z0-9_-]{1,39}$/;
+
+// Supported tokens: {prefix}, {seq} or {seq:N} (zero-padded to N digits)
+// and {year}. Everything else must be letters, digits, dashes or underscores.
+const TOKEN_REGEX = /\{(prefix|seq|year)(?::(\d))?\}/g;
+
+export function isValidSkuFormat(format) {
+  if (typeof format !== 'string' || format.length > 40) return false;
+  if (!/\{seq(?::\d)?\}/.test(format)) return false;
+  return /^[A-Za-z0-9_-]*$/.test(format.replace(TOKEN_REGEX, ''));
+}
+
+export function normalizeSku(value) {
+  return String(value).trim().toUpperCase();
+}
+
+export function formatSku(format, { prefix, seq, date = new Date() }) {
+  return normalizeSku(format.replace(TOKEN_REGEX, (match, token, width) => {
+    if (token === 'prefix') return prefix;
+    if (token === 'year') return String(date.getFullYear());
+    return String(seq).padStart(Number(width) || 0, '0');
+  }));
+}
+
+// Regex matching SKUs produced by a format, with the sequence number as
+// the first capture group
+export function skuPattern(format, prefix) {
+  let source = '';
+  let last = 0;
+  for (const match of format.matchAll(TOKEN_REGEX)) {
+    source += escapeRegex(format.slice(last, match.index).toUpperCase());
+    if (match[1] === 'prefix') source += escapeRegex(prefix);
+    else if (match[1] === 'year') source += '\\d{4}';
+    else source += '(\\d+)';
+    last = match.index + match[0].length;
+  }
+  source += escapeRegex(format.slice(last).toUpperCase());
+  return new RegExp(`^${source}$`);
+}
+
+// One counter per prefix, shared by every format that uses it
+export function skuCounterKey(prefix) {
+  return `sku:${prefix}`;
+}
@@ -0,0 +1,105 @@
+// utils/trash.js
+import { Category, Product, TRASH_RETENTION_DAYS } from '../models/model.js';
+import AuditLog from '../models/auditLogModel.js';
+import Collection from '../models/collectionModel.js';
+import { deleteFromCloudinary, deleteMultipleFromCloudinary } from './cloudinaryHelpers.js';
+
+const TRASH_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+// Permanently delete a trashed product, drop it from manual collections,
+// then delete its Cloudinary images.
+// Pass req = null when called from the sweeper.
+export async function purgeProduct(product, req = null) {
+  const result = await Product.deleteOne({ _id: product._id, deletedAt: { $ne: null } });
+  if (result.deletedCount === 0) return false;
+
+  await Collection.updateMany({ products: product._id }, { $pull: { products: product._id } });
+
+  const publicIds = product.images.map((img) => img.public_id);
+  if (publicIds.length > 0) {
+    await deleteMultipleFromCloudinary(publicIds);
+  }
+
+  await AuditLog.record(req, {
+    action: 'purge',
+    entity: 'Product',
+    entityId: product._id,
+    label: product.name,
+    before: product
+  });
+  return true;
+}
+
+// Permanently delete a trashed category. Refused while any product, trashed
+// or not, still points at it, since restoring that product would break.
+export async function purgeCategory(category, req = null) {
+  const productCount = await Product.countDocuments({ category: category._id })
+    .setOptions({ withDeleted: true });
+  if (productCount > 0) {
+    const error = new Error(`Cannot purge category. ${productCount} products (including trashed ones) belong to it.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const childCount = await Category.countDocuments({ parent: category._id })
+    .setOptions({ withDeleted: true });
+  if (childCount > 0) {
+    const error = new Error(`Cannot purge category. ${childCount} subcategories (including trashed ones) belong to it.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const result = await Category.deleteOne({ _id: category._id, deletedAt: { $ne: null } });
+  if (result.deletedCount === 0) return false;
+
+  await deleteFromCloudinary(category.image.public_id);
+
+  await AuditLog.record(req, {
+    action: 'purge',
+    entity: 'Category',
+    entityId: category._id,
+    label: category.name,
+    before: category
+  });
+  return true;
+}
+
+// Purge everything that has been in the trash longer than the retention
+// period. Products go first so their categories become purgeable.
+// Pass the request when an admin triggers it so the purges are audited
+// under their account; the hourly sweeper leaves it null.
+export async function sweepExpiredTrash(req = null) {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const summary = { products: 0, categories: 0, skipped: 0 };
+
+  const products = await Product.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const product of products) {
+    if (await purgeProduct(product, req)) summary.products++;
+  }
+
+  const categories = await Category.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const category of categories) {
+    try {
+      if (await purgeCategory(category, req)) summary.categories++;
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      summary.skipped++;
+    }
+  }
+
+  return summary;
+}
+
+// Run the sweeper now and then hourly
+export function startTrashSweeper() {
+  const sweep = () => sweepExpiredTrash()
+    .then(({ products, categories }) => {
+      if (products || categories) {
+        console.log(`🗑️  Purged ${products} products and ${categories} categories from trash`);
+      }
+    })
+    .catch((error) => console.error('Trash sweep error:', error.message));
+
+  sweep();
+  setInterval(sweep, TRASH_SWEEP_INTERVAL);
+}
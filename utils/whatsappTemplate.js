@@ -0,0 +1,129 @@
+// utils/whatsappTemplate.js
+// WhatsApp inquiry messages. Templates use {placeholder} anywhere and as
+// often as needed, plus conditionals:
+//   {#if productDiscount}Now {productDiscount} off!{else}Great value.{/if}
+// A block is shown when its placeholder has a non-empty value. Blocks may
+// be nested. Unknown placeholders are left as typed.
+import { formatPrice } from './currency.js';
+
+export const DEFAULT_WHATSAPP_TEMPLATE =
+  'Hi! I am interested in this product: {productName}. Please provide more details about pricing, availability, and delivery.';
+
+export const MAX_TEMPLATE_LENGTH = 500;
+
+// Placeholder names with a short description, listed by the preview endpoint
+export const TEMPLATE_PLACEHOLDERS = {
+  productName: 'Product name',
+  productPrice: 'Price the customer pays, formatted in the product currency',
+  productOriginalPrice: 'Regular price before any discount',
+  productDiscount: 'Discount as a percentage, e.g. "20%" (empty when none)',
+  saleName: 'Name of the running sale campaign (empty when none)',
+  productSKU: 'Product SKU',
+  productCategory: 'Category name',
+  productUrl: 'Link to the product page',
+  quantity: 'Quantity the customer asked for (default 1)',
+  totalPrice: 'Price times quantity',
+  variants: 'Chosen options, e.g. "Size: M, Color: Red" (empty when none)',
+  size: 'Chosen size',
+  color: 'Chosen color',
+  material: 'Chosen material',
+  style: 'Chosen style',
+  custom: 'Chosen custom option',
+  customerName: 'Customer name, if known'
+};
+
+const IF_BLOCK = /\{#if (\w+)\}((?:(?!\{#if \w+\})[\s\S])*?)\{\/if\}/;
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Error message for a malformed template, or null when it can be rendered
+export function validateTemplate(template) {
+  if (typeof template !== 'string') return 'Template must be text';
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Template cannot exceed ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  let depth = 0;
+  for (const [tag] of template.matchAll(/\{#if \w+\}|\{else\}|\{\/if\}/g)) {
+    if (tag === '{/if}') depth--;
+    else if (tag === '{else}' && depth === 0) return '{else} must be inside an {#if} block';
+    else if (tag !== '{else}') depth++;
+    if (depth < 0) return '{/if} without a matching {#if}';
+  }
+  return depth === 0 ? null : '{#if} without a matching {/if}';
+}
+
+const isFilled = (value) => value !== undefined && value !== null && String(value) !== '';
+
+// Resolve conditionals innermost first, then fill in placeholders
+export function renderTemplate(template, values) {
+  let text = template;
+  let match;
+  while ((match = IF_BLOCK.exec(text))) {
+    const [block, name, body] = match;
+    const [whenTrue, whenFalse = ''] = body.split('{else}');
+    text = text.slice(0, match.index) + (isFilled(values[name]) ? whenTrue : whenFalse) +
+      text.slice(match.index + block.length);
+  }
+
+  return text.replace(PLACEHOLDER, (token, name) => (
+    Object.hasOwn(values, name) ? String(values[name] ?? '') : token
+  ));
+}
+
+// Base URL of the storefront, for product links
+const storefrontUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0];
+
+// Placeholder values for a product. options: { variantIds, quantity,
+// customerName }; variant ids that aren't on the product are ignored.
+export function buildTemplateValues(product, { variantIds = [], quantity = 1, customerName = '' } = {}) {
+  const ids = new Set(variantIds.map(String));
+  const chosen = (product.variants || []).filter((v) => ids.has(v._id.toString()));
+  const count = Math.max(1, parseInt(quantity) || 1);
+  const price = product.effectivePrice;
+  const currency = product.currency;
+
+  const values = {
+    productName: product.name,
+    productPrice: formatPrice(price, currency),
+    productOriginalPrice: formatPrice(product.price.original, currency),
+    productDiscount: product.discountPercentage ? `${product.discountPercentage}%` : '',
+    saleName: product.sale?.campaign.name || '',
+    productSKU: product.sku || '',
+    productCategory: product.category?.name || '',
+    productUrl: `${storefrontUrl()}/product/${product._id}`,
+    quantity: count,
+    totalPrice: formatPrice(Math.round(price * count * 100) / 100, currency),
+    variants: chosen.map((v) => `${v.name}: ${v.value}`).join(', '),
+    customerName: customerName ? String(customerName).trim().slice(0, 100) : ''
+  };
+  for (const type of ['size', 'color', 'material', 'style', 'custom']) {
+    values[type] = chosen.find((v) => v.type === type)?.value || '';
+  }
+  return values;
+}
+
+export function whatsappUrl(number, message) {
+  const cleanNumber = String(number).replace(/[\s+]/g, '');
+  return `https://wa.me/${cleanNumber}?text=${encodeURIComponent(message)}`;
+}
+
+// Products saved before category templates existed carry the old default
+// as their own message; treat that as "not customised"
+export const hasOwnTemplate = (product) =>
+  Boolean(product.whatsappMessage) && product.whatsappMessage !== DEFAULT_WHATSAPP_TEMPLATE;
+
+// Template in effect for a product, given the nearest template on its
+// category tree, and where it came from: product, category or default
+export function pickTemplate(product, categoryTemplate) {
+  if (hasOwnTemplate(product)) return { template: product.whatsappMessage, source: 'product' };
+  return categoryTemplate
+    ? { template: categoryTemplate, source: 'category' }
+    : { template: DEFAULT_WHATSAPP_TEMPLATE, source: 'default' };
+}
+
+// wa.me link for a product with the template filled in. options are those
+// of buildTemplateValues plus number, which overrides the product's own.
+export function productWhatsAppUrl(product, template, options = {}) {
+  const message = renderTemplate(template, buildTemplateValues(product, options));
+  return whatsappUrl(options.number || product.whatsappNumber, message);
+}